@@ -1,8 +1,26 @@
 'use strict';
 
-const { ImplementationError } = require('@florajs/errors');
+const { setTimeout: sleep } = require('node:timers/promises');
 
-const SUPPORTED_FILTERS = ['equal', 'notEqual', 'less', 'lessOrEqual', 'greater', 'greaterOrEqual', 'range'];
+const { ConnectionError, ImplementationError, RequestError } = require('@florajs/errors');
+
+const SUPPORTED_FILTERS = [
+    'equal',
+    'notEqual',
+    'less',
+    'lessOrEqual',
+    'greater',
+    'greaterOrEqual',
+    'range',
+    'like',
+    'notLike',
+    'contains',
+    'startsWith',
+    'geofilt',
+    'bbox'
+];
+const NEGATED_FILTERS = ['notEqual', 'notLike'];
+const GEO_FILTERS = ['geofilt', 'bbox'];
 const RANGE_OPERATOR_FILTER_MAPPING = {
     less: '}',
     lessOrEqual: ']',
@@ -10,7 +28,28 @@ const RANGE_OPERATOR_FILTER_MAPPING = {
     greaterOrEqual: '['
 };
 
+const ISO_DATE = '\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(?:\\.\\d{1,3})?Z';
+const DATE_MATH_UNIT = '(?:YEAR|MONTH|DAY|DATE|HOUR|MINUTE|SECOND|MILLI|MILLISECOND)S?';
+const ISO_DATE_PATTERN = new RegExp(`^${ISO_DATE}$`);
+const DATE_MATH_PATTERN = new RegExp(`^(?:NOW|${ISO_DATE})(?:[+-]\\d+${DATE_MATH_UNIT}|/${DATE_MATH_UNIT})*$`);
+
 const NO_LIMIT = 1000000;
+const DEFAULT_TERMS_THRESHOLD = 500;
+const DEFAULT_COMPOSITE_KEY_BATCH_SIZE = 500;
+
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_RETRIES = 0;
+const DEFAULT_RETRY_DELAY = 0;
+const DEFAULT_FAILURE_COOLDOWN = 10000;
+const DEFAULT_FAILURE_THRESHOLD = 1;
+const DEFAULT_HEALTH_CHECK_INTERVAL = 5000;
+const LATENCY_EWMA_WEIGHT = 0.3;
+const DEFAULT_HIGHLIGHT_KEY = 'highlighting';
+const DEFAULT_CURSOR_BATCH_SIZE = 1000;
+const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+const DEFAULT_SUGGEST_HANDLER = 'suggest';
+const DEFAULT_MAX_EDIT_DISTANCE = 2;
+const MIN_WILDCARD_PREFIX_LENGTH = 2;
 
 /**
  * Create range filter from a greatOrEqual and lessOrEqual filter.
@@ -32,6 +71,22 @@ function createRangeFilter(attributeFilters) {
     };
 }
 
+/**
+ * Group items by key (like Object.groupBy, which is not available in Node.js 20).
+ *
+ * @param {Array} items
+ * @param {function(*): string} getKey
+ * @return {Object.<string, Array>}
+ * @private
+ */
+function groupBy(items, getKey) {
+    return items.reduce((groups, item) => {
+        const key = getKey(item);
+        (groups[key] ??= []).push(item);
+        return groups;
+    }, Object.create(null));
+}
+
 /**
  * Convert greaterOrEqual and lessOrEqual filters on same attribute
  * to a single range filter.
@@ -49,7 +104,7 @@ function rangify(filters) {
         return filters;
     }
 
-    const groupedAttrs = Object.groupBy(filters, (filter) => filter.attribute);
+    const groupedAttrs = groupBy(filters, (filter) => filter.attribute);
     const rangeQueries = Object.values(groupedAttrs).filter((filters) => {
         if (filters.length !== 2) return false;
 
@@ -99,7 +154,22 @@ function escapeSpecialCharsSolrSyntax(value) {
 }
 
 /**
- * Escape strings and convert boolean values.
+ * Range bounds can be dates (also ISO strings) with date math (e.g. "NOW-7DAYS/DAY"),
+ * which are passed unescaped.
+ *
+ * @param {*} value
+ * @return {*}
+ * @private
+ */
+function convertRangeValue(value) {
+    if (value instanceof Date) return value.toISOString();
+    if (value === null || value === '*') return '*';
+    if (typeof value === 'string' && DATE_MATH_PATTERN.test(value)) return value;
+    return escapeValueForSolr(value);
+}
+
+/**
+ * Escape strings and convert boolean values - dates are quoted.
  *
  * @param {*} value
  * @param {boolean} exposeSolrSyntax
@@ -107,18 +177,151 @@ function escapeSpecialCharsSolrSyntax(value) {
  * @private
  */
 function escapeValueForSolr(value, exposeSolrSyntax) {
-    if (typeof value === 'string') {
+    if (value instanceof Date) value = value.toISOString();
+
+    if (typeof value === 'string' && ISO_DATE_PATTERN.test(value)) {
+        value = '"' + value + '"';
+    } else if (typeof value === 'string') {
         value = exposeSolrSyntax ? escapeSpecialCharsSolrSyntax(value) : escapeSpecialChars(value);
     } else if (typeof value === 'boolean') value = value === false ? 0 : 1;
     return value;
 }
 
+/**
+ * Escape value for wildcard queries - these can't be quoted, so whitespace is escaped as well.
+ *
+ * @param {*} value
+ * @return {string}
+ * @private
+ */
+function escapeWildcardTerm(value) {
+    return String(value).replace(/([\\/+\-&|!(){}[\]^"~*?:\s])/g, '\\$1');
+}
+
+/**
+ * Convert a single filter value - "like" patterns use "*" as wildcard.
+ *
+ * @param {string} operator
+ * @param {*} value
+ * @return {*}
+ * @private
+ */
+function convertFilterValue(operator, value) {
+    if (operator === 'contains') return '*' + escapeWildcardTerm(value) + '*';
+    if (operator === 'startsWith') return escapeWildcardTerm(value) + '*';
+    if (operator === 'like' || operator === 'notLike')
+        return String(value).split('*').map(escapeWildcardTerm).join('*');
+    return escapeValueForSolr(value);
+}
+
+/**
+ * Matches documents without value - pure negative queries only work on top level,
+ * so this one is safe to use in nested conditions.
+ *
+ * @param {string} attribute
+ * @return {string}
+ * @private
+ */
+function buildMissingCondition(attribute) {
+    return '(*:* -' + attribute + ':[* TO *])';
+}
+
+/**
+ * Use terms query parser for large lists - boolean queries are slow and limited
+ * by "maxBooleanClauses". Values containing the separator can't be used.
+ *
+ * @param {string} attribute
+ * @param {Array} values
+ * @return {?string}
+ * @private
+ */
+function buildTermsQuery(attribute, values) {
+    values = values.map((value) => {
+        if (value instanceof Date) return value.toISOString();
+        return String(typeof value === 'boolean' ? Number(value) : value);
+    });
+    if (values.some((value) => value.includes(','))) return null;
+
+    const query = `{!terms f=${attribute}}${values.join(',')}`;
+    return '_query_:"' + query.replace(/([\\"])/g, '\\$1') + '"';
+}
+
+/**
+ * @param {Object} filter
+ * @param {number} termsThreshold
+ * @return {string}
+ * @private
+ */
+function convertListFilter({ attribute, operator, value }, termsThreshold) {
+    const negated = NEGATED_FILTERS.includes(operator);
+    const values = value.filter((val) => val !== null);
+    const condition =
+        ((operator === 'equal' || operator === 'notEqual') &&
+            values.length >= termsThreshold &&
+            buildTermsQuery(attribute, values)) ||
+        attribute + ':(' + values.map((val) => convertFilterValue(operator, val)).join(' OR ') + ')';
+
+    if (values.length === value.length) return (negated ? '-' : '') + condition;
+    if (!values.length) return (negated ? '' : '-') + attribute + ':[* TO *]';
+
+    return negated
+        ? '(' + attribute + ':[* TO *] -' + condition + ')'
+        : '(' + condition + ' OR ' + buildMissingCondition(attribute) + ')';
+}
+
+/**
+ * Validate spatial filter value ([latitude, longitude, distance in km]).
+ *
+ * @param {Object} filter
+ * @return {{ point: string, distance: number }}
+ * @private
+ */
+function parseGeoFilterValue(filter) {
+    const [lat, lon, distance] = Array.isArray(filter.value) ? filter.value.map(Number) : [];
+
+    if (
+        !Array.isArray(filter.value) ||
+        filter.value.length !== 3 ||
+        !(Math.abs(lat) <= 90) ||
+        !(Math.abs(lon) <= 180) ||
+        !(distance >= 0) ||
+        !Number.isFinite(distance)
+    ) {
+        throw new RequestError(
+            `Invalid "${filter.operator}" filter value for "${filter.attribute}" (expected latitude, longitude, distance)`
+        );
+    }
+
+    return { point: `${lat},${lon}`, distance };
+}
+
+/**
+ * Build spatial filter - as nested query, because local params are only
+ * supported at the start of a query.
+ *
+ * @param {Object} filter
+ * @return {string}
+ * @private
+ */
+function buildGeoFilter(filter) {
+    if (Array.isArray(filter.attribute)) {
+        throw new ImplementationError(
+            `DataSource "solr" does not support "${filter.operator}" filters on composite keys`
+        );
+    }
+
+    const { point, distance } = parseGeoFilterValue(filter);
+    return `_query_:"{!${filter.operator} sfield=${filter.attribute} pt=${point} d=${distance}}"`;
+}
+
 /**
  * @param {Object} filter
+ * @param {Object=} options
+ * @param {number=} options.termsThreshold  minimum number of values for terms queries
  * @return {string}
  * @private
  */
-function convertFilterToSolrSyntax(filter) {
+function convertFilterToSolrSyntax(filter, { termsThreshold = DEFAULT_TERMS_THRESHOLD } = {}) {
     const { operator } = filter;
     let { value } = filter;
 
@@ -126,19 +329,33 @@ function convertFilterToSolrSyntax(filter) {
         throw new ImplementationError(`DataSource "solr" does not support "${operator}" filters`);
     }
 
+    if (GEO_FILTERS.includes(operator)) return buildGeoFilter(filter);
+
+    const negated = NEGATED_FILTERS.includes(operator);
+
     if (!Array.isArray(filter.attribute)) {
-        value = escapeValueForSolr(value);
-        if (Array.isArray(value)) {
+        if (value === null && (operator === 'equal' || operator === 'notEqual')) {
+            return (negated ? '' : '-') + filter.attribute + ':[* TO *]';
+        }
+        if (Array.isArray(value) && operator !== 'range') return convertListFilter(filter, termsThreshold);
+
+        if (operator === 'range') {
             const lowerSolrRangeOperator = filter.lowerSolrRangeOperator || '[';
             const upperSolrRangeOperator = filter.upperSolrRangeOperator || ']';
 
             value =
-                operator === 'range'
-                    ? lowerSolrRangeOperator + value[0] + ' TO ' + value[1] + upperSolrRangeOperator
-                    : '(' + value.join(' OR ') + ')';
+                lowerSolrRangeOperator +
+                convertRangeValue(value[0]) +
+                ' TO ' +
+                convertRangeValue(value[1]) +
+                upperSolrRangeOperator;
+        } else if (RANGE_OPERATOR_FILTER_MAPPING[operator]) {
+            value = convertRangeValue(value);
+        } else {
+            value = convertFilterValue(operator, value);
         }
 
-        if (operator !== 'notEqual') {
+        if (!negated) {
             if (operator === 'greater') value = '{' + value + ' TO *]';
             if (operator === 'greaterOrEqual') value = '[' + value + ' TO *]';
             if (operator === 'less') value = '[* TO ' + value + '}';
@@ -149,26 +366,132 @@ function convertFilterToSolrSyntax(filter) {
     }
 
     // convert composite keys to SOLR syntax
-    return value
+    const compositeFilter = value
         .map((values) => {
-            const conditions = values.map((val, index) => filter.attribute[index] + ':' + escapeValueForSolr(val));
+            const conditions = values.map((val, index) =>
+                val === null
+                    ? buildMissingCondition(filter.attribute[index])
+                    : filter.attribute[index] + ':' + convertFilterValue(operator, val)
+            );
             return '(' + conditions.join(' AND ') + ')';
         })
         .join(' OR ');
+
+    return negated ? '-(' + compositeFilter + ')' : compositeFilter;
 }
 
-function buildSolrFilterString(floraFilters) {
-    const orConditions = floraFilters.map((andFilters) => {
-        if (andFilters.length > 1) andFilters = rangify(andFilters);
-        const conditions = andFilters.map(convertFilterToSolrSyntax);
-        return '(' + conditions.join(' AND ') + ')';
+/**
+ * @param {Array.<Object>} andFilters
+ * @param {Object=} options
+ * @return {string}
+ * @private
+ */
+function convertAndFilters(andFilters, options) {
+    const conditions = andFilters.map((filter) => {
+        const condition = convertFilterToSolrSyntax(filter, options);
+        // composite keys are OR-combined
+        return andFilters.length > 1 && Array.isArray(filter.attribute) ? '(' + condition + ')' : condition;
     });
 
+    return '(' + conditions.join(' AND ') + ')';
+}
+
+function buildSolrFilterString(floraFilters, options) {
+    const orConditions = floraFilters.map((andFilters) =>
+        convertAndFilters(andFilters.length > 1 ? rangify(andFilters) : andFilters, options)
+    );
+
     if (orConditions.length > 1) return '(' + orConditions.join(' OR ') + ')';
 
     return orConditions.join('');
 }
 
+/**
+ * Boolean options can also be given as strings (e.g. from XML resource configs).
+ *
+ * @param {*} value
+ * @param {boolean} defaultValue
+ * @return {boolean}
+ * @private
+ */
+function parseBoolean(value, defaultValue) {
+    if (value === undefined || value === null) return defaultValue;
+    return value === true || value === 'true';
+}
+
+/**
+ * Build filter queries ("fq") - one per attribute if requested and possible
+ * (only AND-combined filters can be split).
+ *
+ * @param {Array.<Array.<Object>>} floraFilters
+ * @param {Object} options
+ * @param {boolean=} options.splitFilters
+ * @param {boolean=} options.filterCache  set to false to bypass Solr's filterCache
+ * @param {number=} options.filterCost
+ * @param {number=} options.termsThreshold
+ * @return {Array.<string>}
+ * @private
+ */
+function buildSolrFilterQueries(floraFilters, { splitFilters, filterCache, filterCost, termsThreshold }) {
+    const localParams = [];
+    let filterQueries;
+
+    if (filterCache === false) localParams.push('cache=false');
+    if (filterCost !== undefined) localParams.push('cost=' + filterCost);
+
+    if (splitFilters && floraFilters.length === 1) {
+        const andFilters = floraFilters[0].length > 1 ? rangify(floraFilters[0]) : floraFilters[0];
+        const attributeFilters = groupBy(andFilters, ({ attribute }) => [].concat(attribute).join());
+
+        filterQueries = Object.values(attributeFilters).map((filters) =>
+            convertAndFilters(filters, { termsThreshold })
+        );
+    } else {
+        filterQueries = [buildSolrFilterString(floraFilters, { termsThreshold })];
+    }
+
+    if (!localParams.length) return filterQueries;
+    return filterQueries.map((filterQuery) => `{!${localParams.join(' ')}}${filterQuery}`);
+}
+
+/**
+ * Return distance to the point of a spatial filter as attribute and/or sort by it.
+ * The point is taken from the first "geofilt" or "bbox" filter on the location field.
+ *
+ * @param {Object} distance
+ * @param {string} distance.field       location field
+ * @param {string=} distance.attribute  default: "distance"
+ * @param {Object} request
+ * @return {Object}
+ * @private
+ */
+function buildDistanceParams({ field, attribute = 'distance' }, request) {
+    const params = {};
+    const inAttributes = !!request.attributes && request.attributes.includes(attribute);
+    const inOrder = !!request.order && request.order.some((order) => order.attribute === attribute);
+
+    if (!inAttributes && !inOrder) return params;
+
+    const geoFilter = (request.filter || [])
+        .flat()
+        .find((filter) => GEO_FILTERS.includes(filter.operator) && filter.attribute === field);
+    if (!geoFilter)
+        throw new RequestError(`Attribute "${attribute}" requires a "geofilt" or "bbox" filter on "${field}"`);
+
+    params.sfield = field;
+    params.pt = parseGeoFilterValue(geoFilter).point;
+    if (inAttributes) {
+        params.fl = request.attributes.map((attr) => (attr === attribute ? `${attr}:geodist()` : attr)).join(',');
+    }
+    if (inOrder) {
+        params.sort = buildSolrOrderString(
+            request.order.map((order) => (order.attribute === attribute ? { ...order, attribute: 'geodist()' } : order))
+        );
+    }
+
+    return params;
+}
+
 /**
  * @param {Array.<Object>} floraOrders
  * @return {string}
@@ -178,149 +501,2421 @@ function buildSolrOrderString(floraOrders) {
     return floraOrders.map((order) => order.attribute + ' ' + order.direction).join(',');
 }
 
-function prepareQueryAddition(queryAdditions) {
-    return queryAdditions
-        .replace(/[\r\n]+/g, ' ')
-        .replace(/\s{2,}/g, ' ')
-        .trim();
+/**
+ * Translate facet description to Solr "facet.*" parameters.
+ *
+ * Field facets: `{ field, limit, mincount, sort }` or just the field name
+ * Range facets: `{ field, start, end, gap }`
+ * Query facets: `{ key, query }` (Solr syntax) or `{ key, filter }` (Flora filter)
+ *
+ * Fields are Solr field names, attributes in Flora filters are mapped by field definitions.
+ *
+ * @param {Object} facets
+ * @param {Array.<(string|Object)>=} facets.fields
+ * @param {Array.<Object>=} facets.ranges
+ * @param {Array.<Object>=} facets.queries
+ * @param {Object=} fieldMapping
+ * @return {Object}
+ * @private
+ */
+function buildFacetParams({ fields = [], ranges = [], queries = [] }, fieldMapping) {
+    const params = { facet: 'true' };
+    const addParam = (key, value) => {
+        if (value !== undefined) params[key] = key in params ? [].concat(params[key], value) : value;
+    };
+
+    fields
+        .map((facet) => (typeof facet === 'string' ? { field: facet } : facet))
+        .forEach(({ field, limit, mincount, sort }) => {
+            addParam('facet.field', field);
+            addParam(`f.${field}.facet.limit`, limit);
+            addParam(`f.${field}.facet.mincount`, mincount);
+            addParam(`f.${field}.facet.sort`, sort);
+        });
+
+    ranges.forEach(({ field, start, end, gap }) => {
+        if ([start, end, gap].includes(undefined)) {
+            throw new ImplementationError(`Range facet "${field}" requires "start", "end" and "gap" options`);
+        }
+
+        addParam('facet.range', field);
+        addParam(`f.${field}.facet.range.start`, start);
+        addParam(`f.${field}.facet.range.end`, end);
+        addParam(`f.${field}.facet.range.gap`, gap);
+    });
+
+    queries.forEach(({ key, query, filter }) => {
+        addParam(
+            'facet.query',
+            `{!key=${key}}` + (filter ? buildSolrFilterString(mapFilterAttributes(filter, fieldMapping)) : query)
+        );
+    });
+
+    return params;
 }
 
 /**
- * @param {Object} servers
+ * Convert Solr's flat lists (`['foo', 3, 'bar', 1]`) to bucket objects.
+ *
+ * @param {Array} list
+ * @return {Array.<Object>}
+ * @private
+ */
+function parseFacetList(list) {
+    const buckets = [];
+    for (let i = 0; i < list.length; i += 2) buckets.push({ value: list[i], count: list[i + 1] });
+    return buckets;
+}
+
+/**
+ * @param {Object} facetCounts
  * @return {Object}
+ * @private
  */
-function getUrlGenerators(servers) {
-    return Object.keys(servers).reduce((acc, server) => {
-        const { urls } = servers[server];
+function parseFacetCounts({ facet_fields = {}, facet_ranges = {}, facet_queries = {} }) {
+    const facets = { fields: {}, ranges: {}, queries: { ...facet_queries } };
 
-        acc[server] = (function* urlGenerator() {
-            while (true) {
-                for (let i = 0, l = urls.length; i < l; ++i) {
-                    yield urls[i];
-                }
-            }
-        })();
+    Object.entries(facet_fields).forEach(([field, list]) => (facets.fields[field] = parseFacetList(list)));
+    Object.entries(facet_ranges).forEach(([field, { counts }]) => (facets.ranges[field] = parseFacetList(counts)));
 
-        return acc;
-    }, {});
+    return facets;
 }
 
+const AGGREGATION_METRICS = ['sum', 'avg', 'min', 'max', 'unique', 'percentile'];
+
 /**
+ * Translate aggregation description to Solr's JSON Facet API.
  *
- * @param {string} requestUrl
- * @param {Object} params
- * @param {number} timeout
- * @returns {Promise}
+ * Bucket aggregations ("terms", "range", "query") may contain nested
+ * aggregations and a Flora "filter" to restrict their domain. Metrics
+ * ("sum", "avg", "min", "max", "unique", "percentile") are calculated
+ * for their parent bucket. Fields are Solr field names, attributes in
+ * domain filters are mapped by field definitions.
+ *
+ * @param {Object.<string, Object>} aggregations
+ * @param {Object=} fieldMapping
+ * @return {Object}
  * @private
  */
-async function querySolr(requestUrl, params, timeout) {
-    const response = await fetch(requestUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-        body: new URLSearchParams(params).toString(),
-        signal: AbortSignal.timeout(timeout)
-    });
+function buildJsonFacet(aggregations, fieldMapping) {
+    return Object.fromEntries(
+        Object.entries(aggregations).map(([name, aggregation]) => {
+            const { type, field, filter, aggregations: nested, ...options } = aggregation;
 
-    if (!response.ok) {
-        throw new Error(`Solr error: ${response.status} - ${response.statusText}`);
-    }
+            if (AGGREGATION_METRICS.includes(type)) {
+                const args = type === 'percentile' ? [field, ...(options.percentiles || [50])] : [field];
+                return [name, `${type}(${args.join(',')})`];
+            }
 
-    const { numFound, docs } = (await response.json()).response;
-    return { totalCount: numFound, data: docs };
-}
+            const facet = { type };
 
-function prepareSearchTerm(request) {
-    const escapedSearchTerm = escapeValueForSolr(request.search, request.exposeSolrSyntax);
-    const allowedSearchFields =
-        request.allowedSearchFields && request.allowedSearchFields.trim()
-            ? request.allowedSearchFields.trim().split(',')
-            : [];
+            if (type === 'terms' || type === 'range') {
+                Object.assign(facet, { field }, options);
+            } else if (type === 'query') {
+                facet.q = options.query || '*:*';
+            } else {
+                throw new ImplementationError(`Aggregation "${name}" has unknown type "${type}"`);
+            }
 
-    if (!allowedSearchFields.length) {
-        return escapedSearchTerm;
-    }
+            if (filter) facet.domain = { filter: buildSolrFilterString(mapFilterAttributes(filter, fieldMapping)) };
+            if (nested) facet.facet = buildJsonFacet(nested, fieldMapping);
 
-    const regex = new RegExp(`^(?<field>${allowedSearchFields.join('|')}):(?<search>.+)`);
-    const match = regex.exec(request.search);
+            return [name, facet];
+        })
+    );
+}
 
-    if (match === null) {
-        return escapedSearchTerm;
-    }
+/**
+ * Convert JSON Facet API response to plain nested objects: bucket
+ * aggregations become arrays of `{ value, count, ...nested }`.
+ *
+ * @param {Object.<string, Object>} aggregations  description
+ * @param {Object} response  Solr "facets" response (or bucket)
+ * @return {Object}
+ * @private
+ */
+function parseJsonFacet(aggregations, response = {}) {
+    return Object.fromEntries(
+        Object.entries(aggregations).map(([name, { type, aggregations: nested = {} }]) => {
+            const value = response[name];
 
-    return `(${match.groups.field}:"${match.groups.search}")`;
+            if (AGGREGATION_METRICS.includes(type)) return [name, value ?? null];
+            if (type === 'query') return [name, { count: value ? value.count : 0, ...parseJsonFacet(nested, value) }];
+
+            const buckets = value && value.buckets ? value.buckets : [];
+            return [
+                name,
+                buckets.map((bucket) => ({ value: bucket.val, count: bucket.count, ...parseJsonFacet(nested, bucket) }))
+            ];
+        })
+    );
 }
 
-class DataSource {
-    /**
-     * @param {Api} api
-     * @param {Object} config
-     */
-    constructor(api, config) {
-        this.options = config;
-        this._urls = getUrlGenerators(config.servers);
-        this._status = config._status;
-        delete config._status;
+/**
+ * @param {Object} highlight
+ * @param {Array.<string>} highlight.fields
+ * @param {number=} highlight.fragmentSize
+ * @param {number=} highlight.snippets
+ * @param {string=} highlight.pre
+ * @param {string=} highlight.post
+ * @param {string=} highlight.method  "unified" or "original"
+ * @param {string=} searchQuery  only highlight search terms (not filters)
+ * @return {Object}
+ * @private
+ */
+function buildHighlightParams({ fields, fragmentSize, snippets, pre, post, method }, searchQuery) {
+    if (method && !['unified', 'original'].includes(method)) {
+        throw new ImplementationError(`Unsupported highlighting method "${method}"`);
     }
 
-    /**
-     * @public
-     */
-    prepare() {}
+    const params = { hl: 'true', 'hl.fl': fields.join(',') };
 
-    /**
-     * @param {Object} request
-     * @returns {Promise<Object>}
-     */
-    async process(request) {
-        const server = request.server || 'default';
-        const queryParts = [];
-        const params = { wt: 'json' };
-        const serverOpts = this.options.servers;
+    if (method) params['hl.method'] = method;
+    if (fragmentSize !== undefined) params['hl.fragsize'] = fragmentSize;
+    if (snippets !== undefined) params['hl.snippets'] = snippets;
+    if (pre !== undefined) params['hl.tag.pre'] = pre;
+    if (post !== undefined) params['hl.tag.post'] = post;
+    if (searchQuery) params['hl.q'] = searchQuery;
 
-        if (!serverOpts[server]) throw new Error(`Server "${server}" not defined`);
+    return params;
+}
 
-        const requestUrl = this._urls[server].next().value + request.collection + '/select';
+/**
+ * Add highlighted snippets (keyed by unique key) to documents.
+ *
+ * @param {Array.<Object>} docs
+ * @param {Object} highlighting
+ * @param {Object} highlight
+ * @param {string=} highlight.idAttribute
+ * @param {string=} highlight.key
+ * @private
+ */
+function mergeHighlighting(docs, highlighting = {}, { idAttribute = 'id', key = DEFAULT_HIGHLIGHT_KEY }) {
+    docs.forEach((doc) => {
+        doc[key] = highlighting[doc[idAttribute]] || {};
+    });
+}
 
-        if (request.attributes) params.fl = request.attributes.join(',');
-        if (request.order) params.sort = buildSolrOrderString(request.order);
+const ATOMIC_UPDATE_MODIFIERS = ['set', 'add', 'inc', 'remove'];
 
-        if (request.df) params.df = request.df;
-        if (request.search && request.search.trim()) queryParts.push(prepareSearchTerm(request));
-        if (request.filter) {
-            queryParts.push(buildSolrFilterString(request.filter));
-        }
-        if (request.queryAddition) queryParts.push(prepareQueryAddition(request.queryAddition));
-        if (queryParts.length === 0) queryParts.push('*:*');
+/**
+ * @param {Object} request
+ * @return {Object}
+ * @private
+ */
+function buildUpdateParams({ commitWithin, commit, softCommit }) {
+    const params = { wt: 'json' };
 
-        // overwrite SOLR default limit for sub-resource processing
-        if (!request.limit) request.limit = NO_LIMIT;
-        if (request.page) params.start = (request.page - 1) * request.limit;
+    if (commitWithin !== undefined) params.commitWithin = commitWithin;
+    if (commit) params.commit = 'true';
+    if (softCommit) params.softCommit = 'true';
 
-        if (!request.limitPer) params.rows = request.limit;
-        else {
-            Object.assign(params, {
-                group: 'true',
-                'group.format': 'simple',
-                'group.main': 'true',
-                'group.field': request.limitPer,
-                'group.limit': request.limit,
-                rows: NO_LIMIT // disable default limit because groups are returned as list
-            });
-        }
+    return params;
+}
 
-        params.q = queryParts.join(' AND ');
+/**
+ * Convert `{ id, set: { field: value } }` to Solr's `{ id, field: { set: value } }`.
+ *
+ * @param {Object} doc
+ * @param {string} uniqueKey
+ * @return {Object}
+ * @private
+ */
+function buildAtomicUpdate(doc, uniqueKey) {
+    const { [uniqueKey]: id, ...modifiers } = doc;
+    const update = { [uniqueKey]: id };
 
-        if (request._explain) Object.assign(request._explain, { url: requestUrl, params });
-        if (this._status) this._status.increment('dataSourceQueries');
+    if (id === undefined) throw new ImplementationError(`Atomic update requires unique key "${uniqueKey}"`);
+
+    Object.entries(modifiers).forEach(([modifier, fields]) => {
+        if (!ATOMIC_UPDATE_MODIFIERS.includes(modifier)) {
+            throw new ImplementationError(`Unsupported atomic update modifier "${modifier}"`);
+        }
+
+        Object.entries(fields).forEach(([field, value]) => {
+            if (!update[field]) update[field] = {};
+            update[field][modifier] = value;
+        });
+    });
+
+    if (Object.keys(update).length === 1) {
+        throw new ImplementationError(`Atomic update for "${id}" does not contain any modifiers`);
+    }
+
+    return update;
+}
+
+/**
+ * @param {Object} spellcheck
+ * @param {string=} spellcheck.dictionary
+ * @param {number=} spellcheck.count  number of suggestions per term
+ * @param {boolean=} spellcheck.collate
+ * @param {number=} spellcheck.maxCollations
+ * @param {string} search  unescaped search term
+ * @return {Object}
+ * @private
+ */
+function buildSpellcheckParams({ dictionary, count, collate = true, maxCollations }, search) {
+    const params = { spellcheck: 'true', 'spellcheck.q': search.trim(), 'spellcheck.collate': String(collate) };
+
+    if (dictionary) params['spellcheck.dictionary'] = dictionary;
+    if (count !== undefined) params['spellcheck.count'] = count;
+    if (maxCollations !== undefined) params['spellcheck.maxCollations'] = maxCollations;
+
+    return params;
+}
+
+/**
+ * Solr returns named lists as flat arrays (`['key', value, ...]`) in JSON responses.
+ *
+ * @param {Array|Object} list
+ * @return {Array.<Array>}
+ * @private
+ */
+function namedListEntries(list) {
+    if (!Array.isArray(list)) return Object.entries(list);
+
+    const entries = [];
+    for (let i = 0; i < list.length; i += 2) entries.push([list[i], list[i + 1]]);
+    return entries;
+}
+
+/**
+ * @param {Object} spellcheck
+ * @return {{ correctlySpelled: boolean, suggestions: Array.<Object>, collations: Array.<string> }}
+ * @private
+ */
+function parseSpellcheck({ suggestions = [], collations = [], correctlySpelled = false }) {
+    return {
+        correctlySpelled,
+        suggestions: namedListEntries(suggestions).map(([term, { suggestion = [] }]) => ({
+            term,
+            suggestions: suggestion.map((item) => (typeof item === 'string' ? item : item.word))
+        })),
+        collations: namedListEntries(collations)
+            .filter(([key]) => key === 'collation')
+            .map(([, collation]) => (typeof collation === 'string' ? collation : collation.collationQuery))
+    };
+}
+
+/**
+ * Parameters for grouped results - either by result grouping ("group")
+ * or by collapsing and expanding results ("collapse"), which performs
+ * better on large collections. The collapse filter itself has to be
+ * added to the filter queries.
+ *
+ * @param {string} groupMethod
+ * @param {Object} request
+ * @return {Object}
+ * @private
+ */
+function buildGroupParams(groupMethod, request) {
+    const { limitPer, limit } = request;
+
+    if (groupMethod === 'group') {
+        return {
+            group: 'true',
+            'group.format': 'grouped',
+            'group.field': limitPer,
+            'group.limit': limit,
+            'group.ngroups': 'true'
+        };
+    }
+
+    if (groupMethod === 'collapse') {
+        // head document is not part of the expanded documents - always expand
+        // (also with 0 rows) to get the number of documents per group
+        return { expand: 'true', 'expand.rows': limit - 1 };
+    }
+
+    throw new ImplementationError(`Unsupported group method "${groupMethod}"`);
+}
+
+/**
+ * @param {string} groupMethod
+ * @param {Object} response
+ * @param {string} field
+ * @return {{ totalCount: number, ngroups: number, data: Array.<Object> }}
+ * @private
+ */
+function parseGroups(groupMethod, response, field) {
+    if (groupMethod === 'group') {
+        const { ngroups, groups } = response.grouped[field];
+
+        return {
+            totalCount: ngroups,
+            ngroups,
+            data: groups.map(({ groupValue, doclist }) => ({
+                groupValue,
+                totalCount: doclist.numFound,
+                data: doclist.docs
+            }))
+        };
+    }
+
+    const { numFound, docs } = response.response;
+    const expanded = response.expanded || {};
+
+    return {
+        totalCount: numFound,
+        ngroups: numFound,
+        data: docs.map((head) => {
+            const groupValue = head[field] ?? null;
+            const { numFound: expandedCount = 0, docs: expandedDocs = [] } = expanded[groupValue] || {};
+
+            return { groupValue, totalCount: expandedCount + 1, data: [head, ...expandedDocs] };
+        })
+    };
+}
+
+/**
+ * Convert parameters to form data - array values are sent as repeated parameters.
+ *
+ * @param {Object} params
+ * @return {URLSearchParams}
+ * @private
+ */
+function toSearchParams(params) {
+    const searchParams = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        [].concat(value).forEach((val) => searchParams.append(key, val));
+    });
+    return searchParams;
+}
+
+/**
+ * Split oversized composite key filter into several filters - only possible if there's
+ * a single group of AND-combined filters, otherwise results would overlap.
+ *
+ * @param {Array.<Array.<Object>>} floraFilters
+ * @param {number} batchSize
+ * @return {?Array.<Array.<Array.<Object>>>}
+ * @private
+ */
+function splitCompositeKeyFilter(floraFilters, batchSize) {
+    if (!floraFilters || floraFilters.length !== 1) return null;
+
+    const compositeFilter = floraFilters[0].find(
+        ({ attribute, operator, value }) =>
+            Array.isArray(attribute) && operator === 'equal' && Array.isArray(value) && value.length > batchSize
+    );
+    if (!compositeFilter) return null;
+
+    const batches = [];
+    for (let i = 0; i < compositeFilter.value.length; i += batchSize) {
+        const value = compositeFilter.value.slice(i, i + batchSize);
+        batches.push([floraFilters[0].map((filter) => (filter === compositeFilter ? { ...filter, value } : filter))]);
+    }
+
+    return batches;
+}
+
+/**
+ * Comparator for merging results in memory - missing values are sorted last (like in Solr).
+ *
+ * @param {Array.<Object>} floraOrders
+ * @return {function(Object, Object): number}
+ * @private
+ */
+function compareByOrder(floraOrders) {
+    return (a, b) => {
+        for (const { attribute, direction } of floraOrders) {
+            const valueA = a[attribute];
+            const valueB = b[attribute];
+
+            if (valueA === valueB) continue;
+            if (valueA === undefined || valueA === null) return 1;
+            if (valueB === undefined || valueB === null) return -1;
+
+            const result = valueA < valueB ? -1 : 1;
+            return direction === 'desc' ? -result : result;
+        }
+        return 0;
+    };
+}
+
+const TYPE_CASTS = {
+    string: (value) => String(value),
+    int: (value) => parseInt(value, 10),
+    float: (value) => parseFloat(value),
+    boolean: (value) => value === true || value === 'true' || value === 1 || value === '1',
+    date: (value) => new Date(value),
+    datetime: (value) => new Date(value),
+    time: (value) => value,
+    raw: (value) => value,
+    object: (value) => value
+};
+
+const FIELD_DEFINITION_PATTERN = /^(?<name>[\w.]+)(?:=(?<map>[\w.]+))?(?::(?<type>\w+))?(?<multiValued>\[\])?$/;
+
+/**
+ * Parse field definitions of XML resource configs - e.g.
+ * "title=title_t, date=date_dt:datetime, tags:string[]".
+ *
+ * @param {string} fields
+ * @return {Object}
+ * @private
+ */
+function parseFieldDefinitionString(fields) {
+    const entries = fields
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean);
+
+    return Object.fromEntries(
+        entries.map((entry) => {
+            const match = FIELD_DEFINITION_PATTERN.exec(entry);
+            if (!match) throw new ImplementationError(`Invalid field definition "${entry}"`);
+
+            const { name, map, type, multiValued } = match.groups;
+            return [name, { map, type, multiValued: !!multiValued }];
+        })
+    );
+}
+
+/**
+ * Parse field definitions ({ attribute: { map, type, multiValued } } or string).
+ *
+ * @param {Object|string} fields
+ * @return {Object}
+ * @private
+ */
+function parseFieldDefinitions(fields) {
+    const definitions = typeof fields === 'string' ? parseFieldDefinitionString(fields) : fields;
+
+    return Object.fromEntries(
+        Object.entries(definitions).map(([name, { map, type = 'raw', multiValued = false }]) => {
+            if (!TYPE_CASTS[type]) throw new ImplementationError(`Unsupported type "${type}" for attribute "${name}"`);
+            return [name, { field: map || name, type, multiValued: parseBoolean(multiValued, false) }];
+        })
+    );
+}
+
+/**
+ * @param {string} attribute
+ * @param {Object=} fieldMapping
+ * @return {string}
+ * @private
+ */
+function getField(attribute, fieldMapping = {}) {
+    return fieldMapping[attribute] ? fieldMapping[attribute].field : attribute;
+}
+
+/**
+ * @param {string} attribute
+ * @param {Object=} fieldMapping
+ * @return {string}
+ * @private
+ */
+function toFieldListEntry(attribute, fieldMapping) {
+    const field = getField(attribute, fieldMapping);
+    return field === attribute ? attribute : `${attribute}:${field}`;
+}
+
+/**
+ * Translate attribute names to Solr fields - selected attributes are aliased,
+ * so returned documents already use attribute names.
+ *
+ * @param {Object} request
+ * @param {Object} fieldMapping
+ * @return {Object}
+ * @private
+ */
+function mapAttributesToFields(request, fieldMapping) {
+    const toField = (attribute) => getField(attribute, fieldMapping);
+
+    return {
+        ...request,
+        attributes:
+            request.attributes && request.attributes.map((attribute) => toFieldListEntry(attribute, fieldMapping)),
+        filter: request.filter && mapFilterAttributes(request.filter, fieldMapping),
+        order: request.order && request.order.map((order) => ({ ...order, attribute: toField(order.attribute) })),
+        limitPer: request.limitPer && toField(request.limitPer)
+    };
+}
+
+/**
+ * @param {Array.<Array.<Object>>} floraFilters
+ * @param {Object=} fieldMapping
+ * @return {Array.<Array.<Object>>}
+ * @private
+ */
+function mapFilterAttributes(floraFilters, fieldMapping) {
+    const toField = (attribute) => getField(attribute, fieldMapping);
+
+    return floraFilters.map((andFilters) =>
+        andFilters.map((filter) => ({
+            ...filter,
+            attribute: Array.isArray(filter.attribute) ? filter.attribute.map(toField) : toField(filter.attribute)
+        }))
+    );
+}
+
+/**
+ * Convert values of returned document according to attribute definitions.
+ *
+ * @param {Object} doc
+ * @param {Object} fieldMapping
+ * @private
+ */
+function convertDocument(doc, fieldMapping) {
+    Object.entries(fieldMapping).forEach(([attribute, { type, multiValued }]) => {
+        let value = doc[attribute];
+        if (value === undefined || value === null) return;
+
+        const cast = TYPE_CASTS[type];
+        if (!multiValued && Array.isArray(value)) value = value.length ? value[0] : null;
+        if (multiValued && !Array.isArray(value)) value = [value];
+
+        if (multiValued) doc[attribute] = value.map(cast);
+        else doc[attribute] = value === null ? null : cast(value);
+    });
+}
+
+/**
+ * Key for caching and coalescing queries - independent of the
+ * order in which parameters were added.
+ *
+ * @param {string} server
+ * @param {string} path
+ * @param {Object} params
+ * @return {string}
+ * @private
+ */
+function getQueryKey(server, path, params) {
+    const entries = Object.keys(params)
+        .sort()
+        .map((key) => [key, params[key]]);
+    return JSON.stringify([server, path, entries]);
+}
+
+/**
+ * Cursors require the unique key as tiebreaker in sort order.
+ *
+ * @param {string=} sort
+ * @param {string} uniqueKey
+ * @return {string}
+ * @private
+ */
+function addUniqueKeySort(sort, uniqueKey) {
+    if (!sort) return uniqueKey + ' asc';
+    if (sort.split(',').some((criterion) => criterion.trim().split(/\s+/)[0] === uniqueKey)) return sort;
+    return sort + ',' + uniqueKey + ' asc';
+}
+
+function prepareQueryAddition(queryAdditions) {
+    return queryAdditions
+        .replace(/[\r\n]+/g, ' ')
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+}
+
+/**
+ * Load balancing strategies. Each one creates an endless generator which
+ * yields URLs of a single server. URLs which are currently not available
+ * are skipped - unless all URLs of the server are unavailable.
+ *
+ * @type {Object.<string, function(Array.<string>, Object): Generator>}
+ * @private
+ */
+const BALANCING_STRATEGIES = {
+    *roundRobin(urls, { isAvailable }) {
+        let skipped = 0;
+
+        while (true) {
+            for (let i = 0, l = urls.length; i < l; ++i) {
+                if (skipped < l && !isAvailable(urls[i])) {
+                    skipped++;
+                    continue;
+                }
+
+                skipped = 0;
+                yield urls[i];
+            }
+        }
+    },
+
+    /**
+     * Prefer URLs with low (EWMA) response time - URLs are chosen randomly, weighted
+     * by inverse latency, so slower URLs still get some requests and their latency
+     * doesn't go stale. URLs without measurement yet are assumed to have average latency,
+     * so they get a fair share of requests without attracting bursts.
+     */
+    *leastLatency(urls, { isAvailable, getLatency }) {
+        while (true) {
+            const available = urls.filter((url) => isAvailable(url));
+            const candidates = available.length ? available : urls;
+            const latencies = candidates.map((url) => getLatency(url) ?? null);
+            const measured = latencies.filter((latency) => latency !== null);
+            const average = measured.length ? measured.reduce((sum, latency) => sum + latency, 0) / measured.length : 1;
+            const weights = latencies.map((latency) => 1 / Math.max(latency ?? average, 1));
+            let random = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+            yield candidates.find((url, i) => (random -= weights[i]) < 0) ?? candidates[candidates.length - 1];
+        }
+    },
+
+    /**
+     * Smooth weighted round-robin (as used by nginx) - distributes requests
+     * according to the weights without sending bursts to the same URL.
+     */
+    *weighted(urls, { isAvailable, weights = [] }) {
+        const currentWeights = urls.map(() => 0);
+
+        while (true) {
+            const available = urls.filter((url) => isAvailable(url));
+            const candidates = available.length ? available : urls;
+            let totalWeight = 0;
+            let selected = -1;
+
+            candidates.forEach((url) => {
+                const i = urls.indexOf(url);
+                const weight = weights[i] ?? 1;
+
+                currentWeights[i] += weight;
+                totalWeight += weight;
+                if (selected === -1 || currentWeights[i] > currentWeights[selected]) selected = i;
+            });
+
+            currentWeights[selected] -= totalWeight;
+            yield urls[selected];
+        }
+    }
+};
+
+/**
+ * Create endless URL generators per server using the configured
+ * balancing strategy (default: "roundRobin").
+ *
+ * @param {Object} servers
+ * @param {function(string, string): boolean} isAvailable
+ * @param {function(string, string): ?number} getLatency
+ * @return {Object}
+ */
+function getUrlGenerators(servers, isAvailable = () => true, getLatency = () => null) {
+    return Object.keys(servers).reduce((acc, server) => {
+        const { urls, balancing = 'roundRobin', weights } = servers[server];
+
+        if (!Object.hasOwn(BALANCING_STRATEGIES, balancing)) {
+            throw new ImplementationError(`Unknown balancing strategy "${balancing}" for server "${server}"`);
+        }
+
+        acc[server] = BALANCING_STRATEGIES[balancing](urls, {
+            isAvailable: (url) => isAvailable(server, url),
+            getLatency: (url) => getLatency(server, url),
+            weights
+        });
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Connection errors, timeouts and "503 Service Unavailable" responses
+ * are worth a try on another URL of the same server.
+ *
+ * @param {Error} err
+ * @return {boolean}
+ * @private
+ */
+function isRetryableError(err) {
+    return err instanceof ConnectionError && (err.status === undefined || err.status === 503);
+}
+
+/**
+ * Convert network errors and timeouts of fetch requests.
+ *
+ * @param {Error} err
+ * @param {Object} info  request details for debugging
+ * @return {ConnectionError}
+ * @private
+ */
+function createConnectionError(err, info) {
+    const message = err.name === 'TimeoutError' ? 'Solr timeout' : 'Solr connection error';
+    const error = new ConnectionError(`${message}: ${err.message}`, { cause: err });
+    error.info = info;
+    return error;
+}
+
+/**
+ * Convert error responses - invalid requests (400) become RequestErrors
+ * to expose Solr's error message, server errors become ConnectionErrors.
+ *
+ * @param {Response} response
+ * @param {Object} info  request details for debugging
+ * @return {Promise<Error>}
+ * @private
+ */
+async function createResponseError(response, info) {
+    let solrError = {};
+
+    try {
+        solrError = JSON.parse(await response.text()).error || {};
+    } catch {
+        // no JSON response
+    }
+
+    const status = solrError.code || response.status;
+    let message = `Solr error: ${response.status} - ${response.statusText}`;
+    if (solrError.msg) message += `: ${solrError.msg}`;
+
+    let err;
+    if (status === 400) err = new RequestError(message);
+    else if (status >= 500) err = new ConnectionError(message);
+    else err = new Error(message);
+
+    err.status = status;
+    err.info = { ...info, status };
+    return err;
+}
+
+/**
+ * Circuit breaker for a single Solr URL.
+ *
+ * "closed": URL is in rotation. Consecutive failures (or slow responses)
+ *      reaching the failure threshold open the circuit.
+ * "open": URL is out of rotation until the cooldown has elapsed
+ *      or a health check succeeds.
+ * "halfOpen": a single trial request is sent - success closes the circuit,
+ *      failure opens it again.
+ *
+ * Also keeps track of the URL's response time (exponentially weighted
+ * moving average) for latency-aware load balancing.
+ *
+ * @private
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options
+     * @param {number} options.failureThreshold
+     * @param {number} options.failureCooldown
+     * @param {number=} options.latencyThreshold
+     * @param {function(CircuitBreaker)} onChange  called on changes of state or failure count
+     */
+    constructor({ failureThreshold, failureCooldown, latencyThreshold }, onChange) {
+        this.failureThreshold = failureThreshold;
+        this.failureCooldown = failureCooldown;
+        this.latencyThreshold = latencyThreshold;
+        this.onChange = onChange;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.latency = null;
+    }
+
+    /**
+     * Check if URL may be used - an open circuit is available
+     * for a trial request after the cooldown.
+     *
+     * @return {boolean}
+     */
+    isAvailable() {
+        if (this.state === 'closed') return true;
+        if (this.state === 'halfOpen') return false; // trial request is pending
+        return Date.now() - this.openedAt >= this.failureCooldown;
+    }
+
+    /**
+     * Mark URL as selected for a request - requests to an open
+     * circuit are trial requests.
+     */
+    acquire() {
+        if (this.state === 'open') this._update('halfOpen', this.failures);
+    }
+
+    /**
+     * @param {number} duration  response time in milliseconds
+     */
+    success(duration) {
+        this.latency =
+            this.latency === null
+                ? duration
+                : LATENCY_EWMA_WEIGHT * duration + (1 - LATENCY_EWMA_WEIGHT) * this.latency;
+
+        if (this.latencyThreshold && duration > this.latencyThreshold) {
+            this.failure();
+            return;
+        }
+
+        this._update('closed', 0);
+    }
+
+    failure() {
+        const failures = this.failures + 1;
+
+        if (this.state === 'halfOpen' || failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this._update('open', failures);
+        } else {
+            this._update(this.state, failures);
+        }
+    }
+
+    reset() {
+        this.openedAt = null;
+        this._update('closed', 0);
+    }
+
+    /**
+     * Notify listener on every change of state or failure count.
+     *
+     * @param {string} state
+     * @param {number} failures
+     * @private
+     */
+    _update(state, failures) {
+        if (this.state === state && this.failures === failures) return;
+        this.state = state;
+        this.failures = failures;
+        this.onChange(this);
+    }
+}
+
+/**
+ * Least recently used cache with per-entry expiration.
+ *
+ * @private
+ */
+class LruCache {
+    /**
+     * @param {number} maxEntries
+     */
+    constructor(maxEntries) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * @param {string} key
+     * @return {*} undefined if not cached or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        this.entries.delete(key);
+        if (entry.expires <= Date.now()) return undefined;
+
+        this.entries.set(key, entry); // mark as recently used
+        return entry.value;
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value
+     * @param {number} ttl  milliseconds
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expires: Date.now() + ttl });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+}
+
+/**
+ * @param {Object} servers
+ * @param {function(string, string)} onChange
+ * @return {Object}
+ * @private
+ */
+function createCircuitBreakers(servers, onChange) {
+    return Object.keys(servers).reduce((acc, server) => {
+        const {
+            urls,
+            failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+            failureCooldown = DEFAULT_FAILURE_COOLDOWN,
+            latencyThreshold
+        } = servers[server];
+
+        acc[server] = new Map(
+            urls.map((url) => [
+                url,
+                new CircuitBreaker({ failureThreshold, failureCooldown, latencyThreshold }, () => onChange(server, url))
+            ])
+        );
+
+        return acc;
+    }, {});
+}
+
+/**
+ * Path of the ping request handler used for health checks.
+ *
+ * @param {Object} healthCheck
+ * @return {string}
+ * @private
+ */
+function getHealthCheckPath({ path, collection }) {
+    if (path) return path;
+    if (collection) return collection + '/admin/ping';
+    throw new ImplementationError('Health check requires "path" or "collection" option');
+}
+
+const SERVER_OPTIONS = [
+    'urls',
+    'timeout',
+    'retries',
+    'retryDelay',
+    'failureCooldown',
+    'failureThreshold',
+    'latencyThreshold',
+    'healthCheck',
+    'balancing',
+    'weights',
+    'auth',
+    'headers',
+    'coalesce'
+];
+
+// added by Flora's config parser
+const FLORA_RESOURCE_OPTIONS = [
+    'name',
+    'type',
+    'inherit',
+    'joinParentKey',
+    'joinChildKey',
+    'resolvedJoinParentKey',
+    'resolvedJoinChildKey'
+];
+
+const BOOLEAN_RESOURCE_OPTIONS = [
+    'exposeSolrSyntax',
+    'safeSolrSyntax',
+    'filterQuery',
+    'splitFilters',
+    'filterCache',
+    'groupResults',
+    'cursorPaging',
+    'skipCache',
+    'explainDebug',
+    'softCommit',
+    'overwrite'
+];
+
+const EDISMAX_PARAMS = ['qf', 'pf', 'mm', 'bq', 'bf', 'boost', 'tie'];
+
+const RESOURCE_OPTIONS = [
+    'server',
+    'collection',
+    'df',
+    'allowedSearchFields',
+    'exposeSolrSyntax',
+    'safeSolrSyntax',
+    'maxEditDistance',
+    'edismax',
+    'defType',
+    ...EDISMAX_PARAMS,
+    'spellcheck',
+    'queryAddition',
+    'filterQuery',
+    'splitFilters',
+    'filterCache',
+    'filterCost',
+    'termsThreshold',
+    'compositeKeyBatchSize',
+    'facets',
+    'aggregations',
+    'highlight',
+    'distance',
+    'distanceField',
+    'distanceAttribute',
+    'groupResults',
+    'groupMethod',
+    'groupsLimit',
+    'cursorPaging',
+    'cursorBatchSize',
+    'uniqueKey',
+    'cacheTtl',
+    'cacheMaxEntries',
+    'skipCache',
+    'explainDebug',
+    'fields',
+    'fieldMapping',
+    'handler',
+    'dictionary',
+    'commitWithin',
+    'softCommit',
+    'overwrite'
+];
+
+/**
+ * Check that option is an object with known keys only.
+ *
+ * @param {Object} options
+ * @param {string} key
+ * @param {Array.<string>} allowedKeys
+ * @param {function(string): Error} invalid
+ * @private
+ */
+function checkObjectOption(options, key, allowedKeys, invalid) {
+    const value = options[key];
+
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw invalid(`"${key}" must be an object`);
+    }
+    Object.keys(value).forEach((optionKey) => {
+        if (!allowedKeys.includes(optionKey)) throw invalid(`unknown ${key} option "${optionKey}"`);
+    });
+}
+
+/**
+ * @param {Object} aggregations
+ * @param {function(string): Error} invalid
+ * @private
+ */
+function validateAggregations(aggregations, invalid) {
+    Object.entries(aggregations).forEach(([name, aggregation]) => {
+        if (typeof aggregation !== 'object' || aggregation === null) {
+            throw invalid(`aggregation "${name}" must be an object`);
+        }
+
+        const { type, field, aggregations: nested } = aggregation;
+        if (!AGGREGATION_METRICS.includes(type) && !['terms', 'range', 'query'].includes(type)) {
+            throw invalid(`aggregation "${name}" has unknown type "${type}"`);
+        }
+        if (type !== 'query' && !field) throw invalid(`aggregation "${name}" requires a "field"`);
+        if (nested === undefined) return;
+
+        if (typeof nested !== 'object' || nested === null) {
+            throw invalid(`nested aggregations of "${name}" must be an object`);
+        }
+        validateAggregations(nested, invalid);
+    });
+}
+
+/**
+ * Validate shape of object options ("highlight", "spellcheck", "facets" and "aggregations").
+ *
+ * @param {Object} dsConfig
+ * @param {function(string): Error} invalid
+ * @private
+ */
+function validateObjectOptions(dsConfig, invalid) {
+    const { highlight, spellcheck, facets, aggregations } = dsConfig;
+
+    if (highlight !== undefined) {
+        checkObjectOption(
+            dsConfig,
+            'highlight',
+            ['fields', 'fragmentSize', 'snippets', 'pre', 'post', 'method', 'idAttribute', 'key'],
+            invalid
+        );
+        if (!Array.isArray(highlight.fields) || !highlight.fields.every((field) => typeof field === 'string')) {
+            throw invalid('highlight "fields" must be a list of fields');
+        }
+        if (highlight.method !== undefined && !['unified', 'original'].includes(highlight.method)) {
+            throw invalid(`unsupported highlighting method "${highlight.method}"`);
+        }
+        normalizeNumber(highlight, 'fragmentSize', 0, invalid);
+        normalizeNumber(highlight, 'snippets', 1, invalid);
+    }
+
+    if (spellcheck !== undefined) {
+        checkObjectOption(dsConfig, 'spellcheck', ['dictionary', 'count', 'collate', 'maxCollations'], invalid);
+        normalizeNumber(spellcheck, 'count', 1, invalid);
+        normalizeNumber(spellcheck, 'maxCollations', 1, invalid);
+        normalizeBoolean(spellcheck, 'collate', invalid);
+    }
+
+    if (facets !== undefined) {
+        checkObjectOption(dsConfig, 'facets', ['fields', 'ranges', 'queries'], invalid);
+        ['fields', 'ranges', 'queries'].forEach((key) => {
+            if (facets[key] !== undefined && !Array.isArray(facets[key]))
+                throw invalid(`facet "${key}" must be a list`);
+        });
+        (facets.fields || []).forEach((facet) => {
+            if (typeof facet !== 'string' && !(facet && facet.field)) throw invalid('field facets require a "field"');
+        });
+        (facets.ranges || []).forEach(({ field, start, end, gap }) => {
+            if ([field, start, end, gap].includes(undefined)) {
+                throw invalid(`range facet "${field}" requires "field", "start", "end" and "gap" options`);
+            }
+        });
+        (facets.queries || []).forEach(({ key, query, filter }) => {
+            if (!key || (!query && !filter)) throw invalid('query facets require "key" and "query" or "filter"');
+        });
+    }
+
+    if (aggregations !== undefined) {
+        if (typeof aggregations !== 'object' || aggregations === null || Array.isArray(aggregations)) {
+            throw invalid('"aggregations" must be an object');
+        }
+        validateAggregations(aggregations, invalid);
+    }
+}
+
+/**
+ * Validate edismax parameters - XML resource configs can't express objects, so
+ * parameters can also be given as flat options ("qf", "pf", ...), which are moved
+ * into "edismax". Setting "defType" to "edismax" enables it without parameters.
+ *
+ * @param {Object} dsConfig
+ * @param {function(string): Error} invalid
+ * @private
+ */
+function normalizeEdismaxOptions(dsConfig, invalid) {
+    const flatParams = EDISMAX_PARAMS.filter((key) => dsConfig[key] !== undefined);
+
+    if (dsConfig.defType !== undefined && dsConfig.defType !== 'edismax') throw invalid('"defType" must be "edismax"');
+    if (dsConfig.edismax !== undefined && (typeof dsConfig.edismax !== 'object' || dsConfig.edismax === null)) {
+        throw invalid('"edismax" must be an object');
+    }
+
+    if (dsConfig.defType || flatParams.length) {
+        dsConfig.edismax = { ...dsConfig.edismax };
+        flatParams.forEach((key) => {
+            dsConfig.edismax[key] = dsConfig[key];
+            delete dsConfig[key];
+        });
+        delete dsConfig.defType;
+    }
+    if (!dsConfig.edismax) return;
+
+    Object.entries(dsConfig.edismax).forEach(([key, value]) => {
+        if (!EDISMAX_PARAMS.includes(key)) throw invalid(`unknown edismax parameter "${key}"`);
+        // query fields can be given as list
+        const values = ['qf', 'pf'].includes(key) && Array.isArray(value) ? value : [value];
+        if (!values.every((val) => ['string', 'number'].includes(typeof val))) {
+            throw invalid(`edismax parameter "${key}" must be a string`);
+        }
+    });
+    normalizeNumber(dsConfig.edismax, 'tie', 0, (message) => invalid(`edismax parameter ${message}`));
+}
+
+/**
+ * Validate distance options - also given as flat "distanceField" and
+ * "distanceAttribute" options (from XML resource configs).
+ *
+ * @param {Object} dsConfig
+ * @param {function(string): Error} invalid
+ * @private
+ */
+function normalizeDistanceOptions(dsConfig, invalid) {
+    const { distanceField, distanceAttribute } = dsConfig;
+
+    if (dsConfig.distance !== undefined) checkObjectOption(dsConfig, 'distance', ['field', 'attribute'], invalid);
+
+    if (distanceField !== undefined || distanceAttribute !== undefined) {
+        dsConfig.distance = { ...dsConfig.distance };
+        if (distanceField !== undefined) dsConfig.distance.field = distanceField;
+        if (distanceAttribute !== undefined) dsConfig.distance.attribute = distanceAttribute;
+        delete dsConfig.distanceField;
+        delete dsConfig.distanceAttribute;
+    }
+    if (!dsConfig.distance) return;
+
+    if (!dsConfig.distance.field || typeof dsConfig.distance.field !== 'string') {
+        throw invalid('"distance" requires a location "field"');
+    }
+    if (dsConfig.distance.attribute !== undefined && typeof dsConfig.distance.attribute !== 'string') {
+        throw invalid('distance "attribute" must be a string');
+    }
+}
+
+/**
+ * Numbers can also be given as strings (e.g. from XML resource configs).
+ *
+ * @param {*} value
+ * @param {number} min
+ * @return {boolean}
+ * @private
+ */
+function isNumber(value, min) {
+    return ['number', 'string'].includes(typeof value) && value !== '' && Number(value) >= min;
+}
+
+/**
+ * Validate numeric option and convert it to a number.
+ *
+ * @param {Object} options
+ * @param {string} key
+ * @param {number} min
+ * @param {function(string): Error} invalid
+ * @private
+ */
+function normalizeNumber(options, key, min, invalid) {
+    if (options[key] === undefined) return;
+    if (!isNumber(options[key], min)) {
+        throw invalid(`"${key}" must be a ${min > 0 ? 'positive' : 'non-negative'} number`);
+    }
+    options[key] = Number(options[key]);
+}
+
+/**
+ * Validate boolean option and convert it to a boolean.
+ *
+ * @param {Object} options
+ * @param {string} key
+ * @param {function(string): Error} invalid
+ * @private
+ */
+function normalizeBoolean(options, key, invalid) {
+    if (options[key] === undefined) return;
+    if (![true, false, 'true', 'false'].includes(options[key])) throw invalid(`"${key}" must be a boolean`);
+    options[key] = parseBoolean(options[key], false);
+}
+
+/**
+ * Validate server configuration - numeric and boolean options are converted.
+ *
+ * @param {Object} servers
+ * @private
+ */
+function validateServers(servers) {
+    if (!servers || typeof servers !== 'object' || !Object.keys(servers).length) {
+        throw new ImplementationError('DataSource "solr" requires at least one server in "servers" option');
+    }
+
+    Object.entries(servers).forEach(([server, options]) => {
+        const invalid = (message) =>
+            new ImplementationError(`Invalid configuration for server "${server}": ${message}`);
+
+        Object.keys(options).forEach((key) => {
+            if (!SERVER_OPTIONS.includes(key)) throw invalid(`unknown option "${key}"`);
+        });
+
+        if (!Array.isArray(options.urls) || !options.urls.length) throw invalid('"urls" must be a non-empty array');
+        options.urls.forEach((url) => {
+            if (typeof url !== 'string' || !URL.canParse(url) || !/^https?:$/.test(new URL(url).protocol)) {
+                throw invalid(`"${url}" is not a valid HTTP(S) URL`);
+            }
+            if (!url.endsWith('/')) throw invalid(`URL "${url}" must end with a slash`);
+        });
+
+        ['timeout', 'failureThreshold'].forEach((key) => normalizeNumber(options, key, 1, invalid));
+        ['retries', 'retryDelay', 'failureCooldown', 'latencyThreshold'].forEach((key) =>
+            normalizeNumber(options, key, 0, invalid)
+        );
+        normalizeBoolean(options, 'coalesce', invalid);
+
+        if (
+            options.weights !== undefined &&
+            (!Array.isArray(options.weights) ||
+                options.weights.length !== options.urls.length ||
+                !options.weights.every((weight) => isNumber(weight, 0)))
+        ) {
+            throw invalid('"weights" must be a list of non-negative numbers for each URL');
+        }
+        if (options.weights) options.weights = options.weights.map(Number);
+
+        ['healthCheck', 'auth', 'headers'].forEach((key) => {
+            if (options[key] !== undefined && (typeof options[key] !== 'object' || options[key] === null)) {
+                throw invalid(`"${key}" must be an object`);
+            }
+        });
+        if (options.healthCheck) normalizeNumber(options.healthCheck, 'interval', 1, invalid);
+    });
+}
+
+/**
+ * @param {Object=} cache
+ * @private
+ */
+function validateCacheOptions(cache) {
+    if (cache === undefined) return;
+
+    const invalid = (message) => new ImplementationError(`Invalid cache configuration: ${message}`);
+    if (typeof cache !== 'object' || cache === null) throw invalid('"cache" must be an object');
+
+    normalizeNumber(cache, 'ttl', 0, invalid);
+    normalizeNumber(cache, 'maxEntries', 1, invalid);
+}
+
+/**
+ * Validate resource options - numeric and boolean options (given as strings
+ * in XML resource configs) are converted.
+ *
+ * @param {Object} dsConfig
+ * @param {Object} servers
+ * @private
+ */
+function validateResourceOptions(dsConfig, servers) {
+    const invalid = (message) => new ImplementationError(`Invalid DataSource "solr" configuration: ${message}`);
+
+    Object.keys(dsConfig).forEach((key) => {
+        if (!RESOURCE_OPTIONS.includes(key) && !FLORA_RESOURCE_OPTIONS.includes(key)) {
+            throw invalid(`unknown option "${key}"`);
+        }
+    });
+
+    if (!dsConfig.collection || typeof dsConfig.collection !== 'string') throw invalid('"collection" is required');
+    if (dsConfig.server !== undefined && !Object.hasOwn(servers, dsConfig.server)) {
+        throw invalid(`server "${dsConfig.server}" is not defined`);
+    }
+
+    ['termsThreshold', 'compositeKeyBatchSize', 'groupsLimit', 'cursorBatchSize', 'cacheMaxEntries'].forEach((key) =>
+        normalizeNumber(dsConfig, key, 1, invalid)
+    );
+    ['cacheTtl', 'filterCost', 'commitWithin'].forEach((key) => normalizeNumber(dsConfig, key, 0, invalid));
+    BOOLEAN_RESOURCE_OPTIONS.forEach((key) => normalizeBoolean(dsConfig, key, invalid));
+
+    if (
+        dsConfig.maxEditDistance !== undefined &&
+        !(isNumber(dsConfig.maxEditDistance, 0) && dsConfig.maxEditDistance <= 2)
+    ) {
+        throw invalid('"maxEditDistance" must be between 0 and 2');
+    }
+    normalizeNumber(dsConfig, 'maxEditDistance', 0, invalid);
+
+    if (dsConfig.groupMethod !== undefined && !['group', 'collapse'].includes(dsConfig.groupMethod)) {
+        throw invalid(`unknown group method "${dsConfig.groupMethod}"`);
+    }
+    normalizeEdismaxOptions(dsConfig, invalid);
+    normalizeDistanceOptions(dsConfig, invalid);
+    validateObjectOptions(dsConfig, invalid);
+
+    if (dsConfig.exposeSolrSyntax && dsConfig.safeSolrSyntax) {
+        throw invalid('"exposeSolrSyntax" and "safeSolrSyntax" are mutually exclusive');
+    }
+
+    if (dsConfig.allowedSearchFields !== undefined) {
+        const fields = String(dsConfig.allowedSearchFields)
+            .split(',')
+            .map((field) => field.trim());
+
+        fields.forEach((field) => {
+            if (!/^[\w.]+$/.test(field)) throw invalid(`"${field}" is not a valid field in "allowedSearchFields"`);
+        });
+        if (new Set(fields).size !== fields.length) throw invalid('"allowedSearchFields" contains duplicate fields');
+    }
+}
+
+/**
+ * @param {string} requestUrl
+ * @param {Object} options
+ * @param {number} options.timeout
+ * @param {Object=} options.headers
+ * @return {Promise<boolean>}
+ * @private
+ */
+async function pingSolr(requestUrl, { timeout, headers }) {
+    try {
+        const response = await fetch(requestUrl + '?wt=json', { headers, signal: AbortSignal.timeout(timeout) });
+        if (!response.ok) return false;
+
+        const { status } = await response.json();
+        return status === 'OK';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Send parameters as form data - or as query string if a JSON body is given.
+ *
+ * @param {string} requestUrl
+ * @param {Object} params
+ * @param {Object} options
+ * @param {AbortSignal} options.signal
+ * @param {Object=} options.headers
+ * @param {*=} options.json
+ * @returns {Promise<Response>}
+ * @private
+ */
+async function fetchSolr(requestUrl, params, { signal, headers = {}, json }) {
+    const options =
+        json === undefined
+            ? {
+                  headers: { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' },
+                  body: toSearchParams(params).toString()
+              }
+            : {
+                  url: requestUrl + '?' + toSearchParams(params).toString(),
+                  headers: { ...headers, 'Content-Type': 'application/json' },
+                  body: JSON.stringify(json)
+              };
+    let response;
+
+    try {
+        response = await fetch(options.url || requestUrl, {
+            method: 'POST',
+            headers: options.headers,
+            body: options.body,
+            signal
+        });
+    } catch (err) {
+        throw createConnectionError(err, { url: requestUrl, params });
+    }
+
+    if (!response.ok) throw await createResponseError(response, { url: requestUrl, params });
+
+    return response;
+}
+
+/**
+ *
+ * @param {string} requestUrl
+ * @param {Object} params
+ * @param {Object} options
+ * @param {number} options.timeout
+ * @param {Object=} options.headers
+ * @param {*=} options.json  request body (default: send params as form data)
+ * @returns {Promise}
+ * @private
+ */
+async function querySolr(requestUrl, params, { timeout, headers, json }) {
+    const response = await fetchSolr(requestUrl, params, { signal: AbortSignal.timeout(timeout), headers, json });
+
+    try {
+        return await response.json();
+    } catch (err) {
+        if (err.name !== 'TimeoutError') throw err;
+        throw createConnectionError(err, { url: requestUrl, params });
+    }
+}
+
+/**
+ * Open a streaming request - the timeout only applies until the
+ * response headers have been received.
+ *
+ * @param {string} requestUrl
+ * @param {Object} params
+ * @param {Object} options
+ * @param {number} options.timeout
+ * @param {Object=} options.headers
+ * @returns {Promise<Response>}
+ * @private
+ */
+async function openSolrStream(requestUrl, params, { timeout, headers }) {
+    const controller = new AbortController();
+    const timer = setTimeout(
+        () => controller.abort(new DOMException('The operation was aborted due to timeout', 'TimeoutError')),
+        timeout
+    );
+
+    try {
+        return await fetchSolr(requestUrl, params, { signal: controller.signal, headers });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Incrementally parse documents from the "docs" array of an "/export"
+ * response body without buffering the whole response.
+ *
+ * @param {ReadableStream} body
+ * @returns {AsyncGenerator<Object>}
+ * @private
+ */
+async function* parseExportStream(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let inDocs = false;
+    let inString = false;
+    let escaped = false;
+    let depth = 0;
+    let start = 0;
+    let pos = 0;
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        if (!inDocs) {
+            const match = /"docs"\s*:\s*\[/.exec(buffer);
+            if (!match) continue;
+
+            inDocs = true;
+            buffer = buffer.slice(match.index + match[0].length);
+        }
+
+        for (; pos < buffer.length; pos++) {
+            const char = buffer[pos];
+
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (char === '\\') escaped = true;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                if (depth++ === 0) start = pos;
+            } else if (char === '}') {
+                if (--depth === 0) {
+                    const doc = JSON.parse(buffer.slice(start, pos + 1));
+                    if (doc.EXCEPTION) throw new Error(`Solr export error: ${doc.EXCEPTION}`);
+                    yield doc;
+                }
+            } else if (char === ']' && depth === 0) {
+                return;
+            }
+        }
+
+        // discard parsed documents
+        if (depth === 0) {
+            buffer = '';
+            pos = 0;
+        } else {
+            buffer = buffer.slice(start);
+            pos -= start;
+            start = 0;
+        }
+    }
+
+    if (!inDocs || depth > 0) throw new Error('Solr export error: incomplete response');
+}
+
+const SAFE_SYNTAX_TOKEN =
+    /\s*(?<occur>[+-])?(?:(?<field>[\p{L}\p{N}_.]+):)?(?:"(?<phrase>[^"]*)"|(?<term>[^\s"]+))\s*/uy;
+
+/**
+ * Parse user input into a restricted syntax tree: (quoted) terms with optional
+ * "+"/"-" occurrence, trailing prefix wildcards, fuzzy terms and field prefixes.
+ *
+ * @param {string} search
+ * @param {Object} options
+ * @param {Array.<string>} options.allowedSearchFields
+ * @param {number} options.maxEditDistance
+ * @return {Array.<Object>}
+ * @private
+ */
+function parseSafeSearch(search, { allowedSearchFields, maxEditDistance }) {
+    const input = search.trim();
+    const nodes = [];
+
+    SAFE_SYNTAX_TOKEN.lastIndex = 0;
+    while (SAFE_SYNTAX_TOKEN.lastIndex < input.length) {
+        const match = SAFE_SYNTAX_TOKEN.exec(input);
+        if (match === null) throw new RequestError(`Invalid search syntax: "${input}"`);
+
+        const { occur = null, field = null, phrase, term } = match.groups;
+        const token = match[0].trim();
+
+        if (field !== null && !allowedSearchFields.includes(field)) {
+            throw new RequestError(`Search in field "${field}" is not allowed`);
+        }
+
+        if (phrase !== undefined) {
+            if (!phrase.trim()) throw new RequestError(`Invalid search syntax: "${token}"`);
+            nodes.push({ type: 'phrase', occur, field, value: phrase, prefix: false, fuzzy: null });
+            continue;
+        }
+
+        const { value, prefix, fuzzy } = /^(?<value>.*?)(?<prefix>\*)?(?:~(?<fuzzy>\d*))?$/u.exec(term).groups;
+
+        if (!value || /[*?~(){}[\]^\\]/.test(value) || (prefix && fuzzy !== undefined)) {
+            throw new RequestError(`Invalid search syntax: "${token}"`);
+        }
+        if (prefix && value.length < MIN_WILDCARD_PREFIX_LENGTH) {
+            throw new RequestError(
+                `Wildcard search requires at least ${MIN_WILDCARD_PREFIX_LENGTH} characters: "${token}"`
+            );
+        }
+
+        const node = { type: 'term', occur, field, value, prefix: !!prefix, fuzzy: null };
+        if (fuzzy !== undefined) {
+            node.fuzzy = fuzzy === '' ? maxEditDistance : parseInt(fuzzy, 10);
+            if (node.fuzzy > maxEditDistance) {
+                throw new RequestError(
+                    `Fuzzy search supports a maximum edit distance of ${maxEditDistance}: "${token}"`
+                );
+            }
+        }
+        nodes.push(node);
+    }
+
+    return nodes;
+}
+
+/**
+ * Generate Solr query from restricted syntax tree.
+ *
+ * @param {Array.<Object>} nodes
+ * @return {string}
+ * @private
+ */
+function serializeSafeSearch(nodes) {
+    return nodes
+        .map(({ type, occur, field, value, prefix, fuzzy }) => {
+            let query = type === 'phrase' ? `"${value.replace(/\\/g, '\\\\')}"` : escapeSpecialChars(value);
+
+            if (prefix) query += '*';
+            if (fuzzy !== null) query += `~${fuzzy}`;
+            if (field) query = `${field}:${query}`;
+
+            return (occur || '') + query;
+        })
+        .join(' ');
+}
+
+/**
+ * @param {Object} request
+ * @return {string}
+ * @private
+ */
+function prepareSearchTerm(request) {
+    if (request.safeSolrSyntax) {
+        const nodes = parseSafeSearch(request.search, {
+            allowedSearchFields: (request.allowedSearchFields || '')
+                .split(',')
+                .map((field) => field.trim())
+                .filter(Boolean),
+            maxEditDistance: request.maxEditDistance ?? DEFAULT_MAX_EDIT_DISTANCE
+        });
+        return serializeSafeSearch(nodes);
+    }
+
+    const escapedSearchTerm = escapeValueForSolr(request.search, request.exposeSolrSyntax);
+    const allowedSearchFields =
+        request.allowedSearchFields && request.allowedSearchFields.trim()
+            ? request.allowedSearchFields.trim().split(',')
+            : [];
+
+    if (!allowedSearchFields.length) {
+        return escapedSearchTerm;
+    }
+
+    const regex = new RegExp(`^(?<field>${allowedSearchFields.join('|')}):(?<search>.+)`);
+    const match = regex.exec(request.search);
+
+    if (match === null) {
+        return escapedSearchTerm;
+    }
+
+    return `(${match.groups.field}:"${match.groups.search}")`;
+}
+
+/**
+ * Parse search term with the edismax query parser - the search term is passed
+ * as separate parameter, so edismax only applies to the search part of the query.
+ *
+ * @param {string} searchQuery
+ * @param {Object} edismax  edismax parameters (qf, pf, mm, bq, bf, boost, tie)
+ * @return {{ query: string, params: Object }}
+ * @private
+ */
+function buildEdismaxQuery(searchQuery, edismax) {
+    const params = { userQuery: searchQuery };
+
+    Object.entries(edismax).forEach(([key, value]) => {
+        if (!EDISMAX_PARAMS.includes(key)) throw new ImplementationError(`Unsupported edismax parameter "${key}"`);
+        // query fields can be given as list
+        params[key] = Array.isArray(value) && ['qf', 'pf'].includes(key) ? value.join(' ') : value;
+    });
+
+    return { query: '{!edismax v=$userQuery}', params };
+}
+
+/**
+ * Build main query from search term and query addition. Filters are sent
+ * as (cacheable) filter queries - unless "filterQuery" is disabled,
+ * which folds them into the main query.
+ *
+ * @param {Object} request
+ * @return {{ q: string, fq: Array.<string>, searchQuery: ?string, searchParams: Object }}
+ * @private
+ */
+function buildQuery(request) {
+    const queryParts = [];
+    let searchQuery = request.search && request.search.trim() ? prepareSearchTerm(request) : null;
+    let searchParams = {};
+    let fq = [];
+
+    if (searchQuery && request.edismax) {
+        ({ query: searchQuery, params: searchParams } = buildEdismaxQuery(searchQuery, request.edismax));
+    }
+
+    if (searchQuery) queryParts.push(request.edismax ? `_query_:"${searchQuery}"` : searchQuery);
+
+    if (request.filter) {
+        if (request.filterQuery === false) queryParts.push(buildSolrFilterString(request.filter, request));
+        else fq = buildSolrFilterQueries(request.filter, request);
+    }
+    if (request.queryAddition) queryParts.push(prepareQueryAddition(request.queryAddition));
+    if (queryParts.length === 0) queryParts.push('*:*');
+
+    return { q: queryParts.join(' AND '), fq, searchQuery, searchParams };
+}
+
+class DataSource {
+    /**
+     * @param {Api} api
+     * @param {Object} config
+     */
+    constructor(api, config) {
+        validateServers(config.servers);
+        validateCacheOptions(config.cache);
+
+        this.options = config;
+        this._breakers = createCircuitBreakers(config.servers, () => this._reportCircuitBreakers());
+        this._urls = getUrlGenerators(
+            config.servers,
+            (server, url) => this._breakers[server].get(url).isAvailable(),
+            (server, url) => this._breakers[server].get(url).latency
+        );
+        this._status = config._status;
+        this._tokens = {};
+        this._caches = new Map();
+        this._pending = new Map();
+        delete config._status;
+        this._reportCircuitBreakers();
+
+        this._healthChecks = Object.keys(config.servers)
+            .filter((server) => config.servers[server].healthCheck)
+            .map((server) => {
+                const { healthCheck } = config.servers[server];
+                const { interval = DEFAULT_HEALTH_CHECK_INTERVAL } = healthCheck;
+                const path = getHealthCheckPath(healthCheck);
+                const timer = setInterval(() => this._checkHealth(server, path), interval);
+                timer.unref();
+                return timer;
+            });
+    }
+
+    /**
+     * Read field definitions of the resource ("fields" option) - attributes can be
+     * mapped to Solr fields, returned values are converted by type and multiValued.
+     *
+     * @param {Object} dsConfig
+     * @public
+     */
+    prepare(dsConfig) {
+        validateResourceOptions(dsConfig, this.options.servers);
+
+        if (dsConfig.fields) dsConfig.fieldMapping = parseFieldDefinitions(dsConfig.fields);
+    }
+
+    /**
+     * @param {Object} request
+     * @returns {Promise<Object>}
+     */
+    async process(request) {
+        const server = request.server || 'default';
+        const params = { wt: 'json' };
+        const serverOpts = this.options.servers;
+
+        if (!serverOpts[server]) throw new Error(`Server "${server}" not defined`);
+
+        const batches = splitCompositeKeyFilter(
+            request.filter,
+            request.compositeKeyBatchSize || DEFAULT_COMPOSITE_KEY_BATCH_SIZE
+        );
+        if (batches) return this._processBatches(request, batches);
+
+        const mapped = request.fieldMapping ? mapAttributesToFields(request, request.fieldMapping) : request;
+
+        if (mapped.attributes) params.fl = mapped.attributes.join(',');
+        if (mapped.order) params.sort = buildSolrOrderString(mapped.order);
+        if (request.distance) Object.assign(params, buildDistanceParams(request.distance, mapped));
+
+        if (request.df) params.df = request.df;
+        const { q, fq, searchQuery, searchParams } = buildQuery(mapped);
+        Object.assign(params, searchParams);
+
+        // walk through (unlimited) sub-resource results in batches instead of requesting all at once
+        const useCursor = !!request.cursorPaging && !request.limit && !request.page && !request.limitPer;
+
+        // overwrite SOLR default limit for sub-resource processing
+        if (!request.limit) request.limit = NO_LIMIT;
+        if (request.page) params.start = (request.page - 1) * request.limit;
+
+        const groupMethod = request.limitPer && request.groupResults ? request.groupMethod || 'group' : null;
+
+        if (!request.limitPer) params.rows = request.limit;
+        else if (groupMethod) {
+            // paging is applied to groups
+            const groupsLimit = request.groupsLimit || NO_LIMIT;
+            params.rows = groupsLimit;
+            if (request.page) params.start = (request.page - 1) * groupsLimit;
+            Object.assign(params, buildGroupParams(groupMethod, { ...request, limitPer: mapped.limitPer }));
+        } else {
+            Object.assign(params, {
+                group: 'true',
+                'group.format': 'simple',
+                'group.main': 'true',
+                'group.field': mapped.limitPer,
+                'group.limit': request.limit,
+                rows: NO_LIMIT // disable default limit because groups are returned as list
+            });
+        }
+
+        // collapsed group value is taken from the head document, removed afterwards if not requested
+        const limitPerFieldListEntry =
+            groupMethod === 'collapse' ? toFieldListEntry(request.limitPer, request.fieldMapping) : null;
+        const addLimitPer =
+            !!limitPerFieldListEntry && !!mapped.attributes && !mapped.attributes.includes(limitPerFieldListEntry);
+        if (addLimitPer) params.fl += ',' + limitPerFieldListEntry;
+
+        if (useCursor) {
+            params.rows = request.cursorBatchSize || DEFAULT_CURSOR_BATCH_SIZE;
+            params.sort = addUniqueKeySort(params.sort, request.uniqueKey || 'id');
+            params.cursorMark = '*'; // distinguishes cursor queries in cache and coalescing keys
+        }
+
+        params.q = q;
+        if (groupMethod === 'collapse') fq.push(`{!collapse field=${mapped.limitPer}}`);
+        if (fq.length) params.fq = fq.length > 1 ? fq : fq[0];
+
+        if (request.facets) Object.assign(params, buildFacetParams(request.facets, request.fieldMapping));
+        if (request.aggregations) {
+            params['json.facet'] = JSON.stringify(buildJsonFacet(request.aggregations, request.fieldMapping));
+        }
+        // highlighting is merged by id, which is removed afterwards if not requested
+        const { idAttribute = 'id' } = request.highlight || {};
+        const idFieldListEntry = toFieldListEntry(idAttribute, request.fieldMapping);
+        const addIdAttribute =
+            !!request.highlight && !!mapped.attributes && !mapped.attributes.includes(idFieldListEntry);
+
+        if (request.highlight) {
+            if (addIdAttribute) params.fl += ',' + idFieldListEntry;
+            Object.assign(params, buildHighlightParams(request.highlight, searchQuery));
+        }
+
+        if (request.spellcheck && searchQuery)
+            Object.assign(params, buildSpellcheckParams(request.spellcheck, request.search));
+
+        if (request._explain && request.explainDebug) params.debugQuery = 'true';
+        if (request._explain) Object.assign(request._explain, { params });
+
+        const path = request.collection + '/select';
+        const start = Date.now();
+        // transport details (url, replica, retries) are shared with callers
+        // joining an in-flight request or hitting the cache
+        const { response, transport } = await this._cached(request, server, path, params, () =>
+            this._coalesced(server, path, params, async () => {
+                const explain = {};
+                if (this._status) this._status.increment('dataSourceQueries');
+
+                try {
+                    const solrResponse = useCursor
+                        ? await this._queryWithCursor(server, path, params, explain)
+                        : await this._query(server, path, params, { explain });
+                    return { response: solrResponse, transport: explain };
+                } finally {
+                    if (request._explain) Object.assign(request._explain, explain);
+                }
+            })
+        );
+        if (request._explain) Object.assign(request._explain, transport);
+        let result;
+        let docs;
+
+        if (groupMethod) {
+            // collapsed head documents contain the (aliased) attribute
+            result = parseGroups(groupMethod, response, groupMethod === 'group' ? mapped.limitPer : request.limitPer);
+            docs = result.data.flatMap((group) => group.data);
+        } else {
+            docs = response.response.docs;
+            result = { totalCount: response.response.numFound, data: docs };
+        }
+
+        if (request._explain) {
+            Object.assign(request._explain, {
+                duration: Date.now() - start,
+                qTime: response.responseHeader ? response.responseHeader.QTime : null
+            });
+
+            if (response.debug) {
+                const { parsedquery, explain, timing } = response.debug;
+                request._explain.debug = { parsedquery, explain, timing };
+            }
+        }
+
+        if (request.facets) result.facets = parseFacetCounts(response.facet_counts || {});
+        if (request.aggregations) {
+            result.aggregations = {
+                count: response.facets ? response.facets.count : 0,
+                ...parseJsonFacet(request.aggregations, response.facets)
+            };
+        }
+        if (request.fieldMapping) docs.forEach((doc) => convertDocument(doc, request.fieldMapping));
+        if (request.highlight) mergeHighlighting(docs, response.highlighting, request.highlight);
+        if (addIdAttribute) docs.forEach((doc) => delete doc[idAttribute]);
+        if (addLimitPer) docs.forEach((doc) => delete doc[request.limitPer]);
+        if (request.spellcheck && searchQuery) result.spellcheck = parseSpellcheck(response.spellcheck || {});
+
+        return result;
+    }
+
+    /**
+     * Get autocomplete suggestions from the suggest handler.
+     *
+     * @param {Object} request
+     * @param {string} request.collection
+     * @param {string} request.search
+     * @param {string=} request.server
+     * @param {string=} request.handler  default: "suggest"
+     * @param {string|Array.<string>=} request.dictionary
+     * @param {number=} request.count
+     * @param {string=} request.contextFilter
+     * @returns {Promise<{ totalCount: number, data: Array.<Object> }>}
+     */
+    async suggest(request) {
+        const server = request.server || 'default';
+        if (!this.options.servers[server]) throw new Error(`Server "${server}" not defined`);
+
+        const params = { wt: 'json', suggest: 'true', 'suggest.q': request.search };
+        if (request.dictionary) params['suggest.dictionary'] = request.dictionary;
+        if (request.count !== undefined) params['suggest.count'] = request.count;
+        if (request.contextFilter) params['suggest.cfq'] = request.contextFilter;
+
+        if (request._explain) Object.assign(request._explain, { params });
+        if (this._status) this._status.increment('dataSourceQueries');
+
+        const path = request.collection + '/' + (request.handler || DEFAULT_SUGGEST_HANDLER);
+        const response = await this._query(server, path, params, { explain: request._explain });
+
+        const data = Object.values(response.suggest || {}).flatMap((dictionaryResult) =>
+            Object.values(dictionaryResult).flatMap(({ suggestions = [] }) =>
+                suggestions.map(({ term, weight, payload }) => ({ term, weight, payload }))
+            )
+        );
+
+        return { totalCount: data.length, data };
+    }
+
+    /**
+     * Stream all matching documents using Solr's "/export" handler. Requested
+     * attributes and sort fields must have docValues. Use `Readable.from()`
+     * if a Node.js stream is needed.
+     *
+     * @param {Object} request
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *stream(request) {
+        const server = request.server || 'default';
+
+        if (!this.options.servers[server]) throw new Error(`Server "${server}" not defined`);
+        if (!request.attributes || !request.attributes.length) {
+            throw new ImplementationError('Streaming requires explicit attributes');
+        }
+
+        // export handler doesn't support aliases, so fields are renamed afterwards
+        const { fieldMapping } = request;
+        const mapped = fieldMapping ? mapAttributesToFields(request, fieldMapping) : request;
+        const { q, fq, searchParams } = buildQuery(mapped);
+        const params = {
+            ...searchParams,
+            wt: 'json',
+            q,
+            fl: request.attributes.map((attribute) => getField(attribute, fieldMapping)).join(','),
+            sort: mapped.order ? buildSolrOrderString(mapped.order) : (request.uniqueKey || 'id') + ' asc'
+        };
+
+        if (fq.length) params.fq = fq.length > 1 ? fq : fq[0];
+
+        if (request.df) params.df = request.df;
+        if (request._explain) Object.assign(request._explain, { params });
+        if (this._status) this._status.increment('dataSourceQueries');
+
+        const response = await this._query(server, request.collection + '/export', params, {
+            explain: request._explain,
+            send: openSolrStream
+        });
+
+        if (!fieldMapping) {
+            yield* parseExportStream(response.body);
+            return;
+        }
+
+        for await (const doc of parseExportStream(response.body)) {
+            const attributes = Object.fromEntries(
+                request.attributes
+                    .map((attribute) => [attribute, doc[getField(attribute, fieldMapping)]])
+                    .filter(([, value]) => value !== undefined)
+            );
+            convertDocument(attributes, fieldMapping);
+            yield attributes;
+        }
+    }
+
+    /**
+     * Add or replace documents.
+     *
+     * @param {Object} request
+     * @param {string} request.collection
+     * @param {Array.<Object>} request.documents
+     * @param {string=} request.server
+     * @param {boolean=} request.overwrite
+     * @param {number=} request.commitWithin  milliseconds
+     * @param {boolean=} request.commit
+     * @param {boolean=} request.softCommit
+     * @returns {Promise}
+     */
+    async add(request) {
+        const params = buildUpdateParams(request);
+        if (request.overwrite !== undefined) params.overwrite = String(request.overwrite);
+
+        await this._update(request, params, request.documents);
+    }
+
+    /**
+     * Apply atomic updates to existing documents - each document contains the
+     * unique key and at least one of the "set", "add", "inc", "remove" modifiers
+     * which map field names to values:
+     *
+     *     { id: 1, set: { title: 'foo' }, inc: { views: 1 } }
+     *
+     * Atomic updates are not idempotent, so they are never retried.
+     *
+     * @param {Object} request
+     * @param {string} request.collection
+     * @param {Array.<Object>} request.documents
+     * @param {string=} request.uniqueKey
+     * @returns {Promise}
+     */
+    async update(request) {
+        const documents = request.documents.map((doc) => buildAtomicUpdate(doc, request.uniqueKey || 'id'));
+        await this._update(request, buildUpdateParams(request), documents, { retries: 0 });
+    }
+
+    /**
+     * Delete documents by unique key(s) or by Flora filter.
+     *
+     * @param {Object} request
+     * @param {string} request.collection
+     * @param {Array.<string|number>=} request.ids
+     * @param {Array.<Array.<Object>>=} request.filter
+     * @returns {Promise}
+     */
+    async delete(request) {
+        let command;
+
+        if (request.ids) command = { delete: request.ids };
+        else if (request.filter) {
+            const filter = mapFilterAttributes(request.filter, request.fieldMapping);
+            command = { delete: { query: buildSolrFilterString(filter) } };
+        } else throw new ImplementationError('Delete requires "ids" or "filter"');
+
+        await this._update(request, buildUpdateParams(request), command);
+    }
+
+    /**
+     * @param {Object} request
+     * @param {string} request.collection
+     * @param {boolean=} request.softCommit
+     * @returns {Promise}
+     */
+    async commit(request) {
+        const params = buildUpdateParams({ commit: !request.softCommit, softCommit: request.softCommit });
+        await this._update(request, params, {});
+    }
+
+    /**
+     * @param {Object} request
+     * @param {Object} params
+     * @param {*} body
+     * @param {Object=} options
+     * @returns {Promise}
+     * @private
+     */
+    async _update(request, params, body, options = {}) {
+        const server = request.server || 'default';
+        if (!this.options.servers[server]) throw new Error(`Server "${server}" not defined`);
+
+        try {
+            await this._query(server, request.collection + '/update', params, {
+                ...options,
+                send: (requestUrl, updateParams, sendOptions) =>
+                    querySolr(requestUrl, updateParams, { ...sendOptions, json: body })
+            });
+        } finally {
+            this.invalidateCache(request.collection);
+        }
+    }
+
+    /**
+     * Query each batch of an oversized composite key filter in parallel and merge the results.
+     * Ordering is applied in memory, so ordered attributes must be selected.
+     *
+     * @param {Object} request
+     * @param {Array.<Array.<Array.<Object>>>} batches
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _processBatches(request, batches) {
+        const unsupported = ['page', 'limitPer', 'facets', 'aggregations'].filter((option) => request[option]);
+        if (unsupported.length) {
+            throw new ImplementationError(
+                `Oversized composite key filters can't be combined with "${unsupported.join('", "')}"`
+            );
+        }
+
+        const explains = batches.map(() => (request._explain ? {} : undefined));
+        const results = await Promise.all(
+            batches.map((filter, i) => this.process({ ...request, filter, _explain: explains[i] }))
+        );
+
+        let data = results.flatMap((result) => result.data);
+        if (request.order) data.sort(compareByOrder(request.order));
+        if (request.limit) data = data.slice(0, request.limit);
+
+        if (request._explain) request._explain.batches = explains;
+
+        return { totalCount: results.reduce((totalCount, result) => totalCount + result.totalCount, 0), data };
+    }
+
+    /**
+     * Remove cached results of a collection (or all cached results).
+     *
+     * @param {string=} collection
+     */
+    invalidateCache(collection) {
+        if (collection === undefined) this._caches.clear();
+        else this._caches.delete(collection);
+    }
+
+    /**
+     * Share a single request between identical concurrent queries - each caller
+     * gets its own copy of the response. Can be disabled per server by
+     * setting "coalesce" to false.
+     *
+     * @param {string} server
+     * @param {string} path
+     * @param {Object} params
+     * @param {function(): Promise<Object>} query
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _coalesced(server, path, params, query) {
+        if (this.options.servers[server].coalesce === false) return query();
+
+        const key = getQueryKey(server, path, params);
+        let pending = this._pending.get(key);
+
+        if (!pending) {
+            pending = query().finally(() => this._pending.delete(key));
+            this._pending.set(key, pending);
+        }
+
+        return structuredClone(await pending);
+    }
+
+    /**
+     * Return cached Solr response or execute query and cache its response.
+     * Caching is enabled by a TTL ("cacheTtl" resource option or "cache.ttl"
+     * data source option) and can be bypassed per request by "skipCache".
+     * Each collection has its own LRU cache limited to "cacheMaxEntries"
+     * (or "cache.maxEntries") entries.
+     *
+     * @param {Object} request
+     * @param {string} server
+     * @param {string} path
+     * @param {Object} params
+     * @param {function(): Promise<Object>} query
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _cached(request, server, path, params, query) {
+        const { ttl = 0, maxEntries = DEFAULT_CACHE_MAX_ENTRIES } = this.options.cache || {};
+        const cacheTtl = request.cacheTtl ?? ttl;
+
+        if (!cacheTtl || request.skipCache) return query();
+
+        let cache = this._caches.get(request.collection);
+        if (!cache) {
+            cache = new LruCache(request.cacheMaxEntries ?? maxEntries);
+            this._caches.set(request.collection, cache);
+        }
+
+        const key = getQueryKey(server, path, params);
+        const cached = cache.get(key);
+
+        if (cached) {
+            if (this._status) this._status.increment('cacheHits');
+            if (request._explain) request._explain.cacheHit = true;
+            return structuredClone(cached);
+        }
+
+        if (this._status) this._status.increment('cacheMisses');
+        if (request._explain) request._explain.cacheHit = false;
+
+        const response = await query();
+        cache.set(key, structuredClone(response), cacheTtl);
+        return response;
+    }
+
+    /**
+     * Send query to the next available URL of the server and fail over
+     * to the following URLs on connection errors, timeouts and 503s.
+     *
+     * @param {string} server
+     * @param {string} path
+     * @param {Object} params
+     * @param {Object=} options
+     * @param {Object=} options.explain
+     * @param {Function=} options.send
+     * @param {number=} options.retries  overwrite server's retry count
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _query(server, path, params, { explain, send = querySolr, retries } = {}) {
+        const {
+            timeout = DEFAULT_TIMEOUT,
+            retries: serverRetries = DEFAULT_RETRIES,
+            retryDelay = DEFAULT_RETRY_DELAY
+        } = this.options.servers[server];
+
+        if (retries === undefined) retries = serverRetries;
+
+        for (let attempt = 0; ; attempt++) {
+            const url = this._urls[server].next().value;
+            const breaker = this._breakers[server].get(url);
+            const start = Date.now();
+
+            breaker.acquire();
+
+            if (explain) Object.assign(explain, { url: url + path, replica: url, retries: attempt });
+
+            try {
+                const result = await this._send(server, send, url + path, params, timeout);
+                breaker.success(Date.now() - start);
+                return result;
+            } catch (err) {
+                if (!isRetryableError(err)) {
+                    // Solr is reachable, so the request itself is the problem
+                    breaker.success(Date.now() - start);
+                    throw err;
+                }
+
+                breaker.failure();
+                if (attempt >= retries) throw err;
+                if (retryDelay > 0) await sleep(retryDelay * 2 ** attempt);
+            }
+        }
+    }
+
+    /**
+     * Send request with the server's authentication and custom headers - tokens
+     * from a token provider are refreshed once if Solr responds with 401.
+     *
+     * @param {string} server
+     * @param {Function} send
+     * @param {string} requestUrl
+     * @param {Object} params
+     * @param {number} timeout
+     * @returns {Promise}
+     * @private
+     */
+    async _send(server, send, requestUrl, params, timeout) {
+        try {
+            return await send(requestUrl, params, { timeout, headers: await this._getHeaders(server) });
+        } catch (err) {
+            const { auth } = this.options.servers[server];
+            if (err.status !== 401 || !auth || !auth.tokenProvider) throw err;
+
+            return send(requestUrl, params, { timeout, headers: await this._getHeaders(server, true) });
+        }
+    }
+
+    /**
+     * @param {string} server
+     * @param {boolean=} refreshToken
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _getHeaders(server, refreshToken = false) {
+        const { auth, headers = {} } = this.options.servers[server];
+        const result = { ...headers };
+
+        if (!auth) return result;
+
+        if (auth.username !== undefined) {
+            const credentials = Buffer.from(`${auth.username}:${auth.password}`).toString('base64');
+            result.Authorization = 'Basic ' + credentials;
+        } else if (auth.token) {
+            result.Authorization = 'Bearer ' + auth.token;
+        } else if (auth.tokenProvider) {
+            if (refreshToken || !this._tokens[server]) {
+                // share pending token requests between concurrent queries
+                this._tokens[server] = Promise.resolve(auth.tokenProvider()).catch((err) => {
+                    delete this._tokens[server];
+                    throw err;
+                });
+            }
+            result.Authorization = 'Bearer ' + (await this._tokens[server]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch all results batch by batch using Solr's "cursorMark" and
+     * combine them into a single response.
+     *
+     * @param {string} server
+     * @param {string} path
+     * @param {Object} params
+     * @param {Object=} explain
+     * @returns {Promise<Object>}
+     * @private
+     */
+    async _queryWithCursor(server, path, params, explain) {
+        let cursorMark = '*';
+        let result;
+
+        while (true) {
+            const response = await this._query(server, path, { ...params, cursorMark }, { explain });
+            const { numFound, docs } = response.response;
+
+            if (!result) result = response;
+            else {
+                result.response.docs.push(...docs);
+                if (response.highlighting) Object.assign(result.highlighting, response.highlighting);
+            }
+
+            if (
+                docs.length < params.rows ||
+                result.response.docs.length >= numFound ||
+                !response.nextCursorMark ||
+                response.nextCursorMark === cursorMark
+            ) {
+                return result;
+            }
+
+            cursorMark = response.nextCursorMark;
+        }
+    }
+
+    /**
+     * Ping all URLs of the server which are out of rotation
+     * and put them back into rotation once they respond again.
+     *
+     * @param {string} server
+     * @param {string} path
+     * @returns {Promise}
+     * @private
+     */
+    async _checkHealth(server, path) {
+        const { timeout = DEFAULT_TIMEOUT } = this.options.servers[server];
+        const headers = await this._getHeaders(server).catch(() => null);
+        if (!headers) return;
+
+        await Promise.all(
+            Array.from(this._breakers[server])
+                .filter(([, breaker]) => breaker.state !== 'closed')
+                .map(async ([url, breaker]) => {
+                    if (await pingSolr(url + path, { timeout, headers })) breaker.reset();
+                })
+        );
+    }
+
+    /**
+     * @private
+     */
+    _reportCircuitBreakers() {
+        if (!this._status) return;
+
+        const circuitBreakers = {};
+        Object.keys(this._breakers).forEach((server) => {
+            circuitBreakers[server] = {};
+            this._breakers[server].forEach(({ state, failures }, url) => {
+                circuitBreakers[server][url] = { state, failures };
+            });
+        });
 
-        const timeout = serverOpts[server].timeout || 5000;
-        return querySolr(requestUrl, params, timeout);
+        this._status.set('circuitBreakers', circuitBreakers);
     }
 
     /**
      * @returns {Promise}
      */
     close() {
+        this._healthChecks.forEach((timer) => clearInterval(timer));
         return Promise.resolve();
     }
 
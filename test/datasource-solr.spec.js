@@ -2,7 +2,9 @@
 
 const { after, afterEach, beforeEach, describe, it } = require('node:test');
 const assert = require('node:assert/strict');
+const { Readable } = require('node:stream');
 const nock = require('nock');
+const { ConnectionError, RequestError } = require('@florajs/errors');
 
 const FloraSolr = require('../index');
 
@@ -25,6 +27,13 @@ describe('Flora SOLR DataSource', () => {
     afterEach(() => nock.cleanAll());
     after(() => nock.restore());
 
+    const createDataSource = (server = {}) =>
+        new FloraSolr(api, {
+            servers: {
+                default: { urls: ['http://solr1.example.com/solr/', 'http://solr2.example.com/solr/'], ...server }
+            }
+        });
+
     describe('interface', () => {
         it('should export a query function', () => {
             assert.equal(typeof dataSource.process, 'function');
@@ -35,6 +44,180 @@ describe('Flora SOLR DataSource', () => {
         });
     });
 
+    describe('configuration', () => {
+        [
+            [undefined, 'DataSource "solr" requires at least one server in "servers" option'],
+            [{}, 'DataSource "solr" requires at least one server in "servers" option'],
+            [{ default: {} }, 'Invalid configuration for server "default": "urls" must be a non-empty array'],
+            [{ default: { urls: [] } }, 'Invalid configuration for server "default": "urls" must be a non-empty array']
+        ].forEach(([servers, message]) => {
+            it(`should reject servers ${JSON.stringify(servers)}`, () => {
+                assert.throws(() => new FloraSolr(api, { servers }), { name: 'ImplementationError', message });
+            });
+        });
+
+        [
+            [{ urls: ['example.com/solr/'] }, '"example.com/solr/" is not a valid HTTP(S) URL'],
+            [{ urls: ['ftp://example.com/solr/'] }, '"ftp://example.com/solr/" is not a valid HTTP(S) URL'],
+            [{ urls: ['http://example.com/solr'] }, 'URL "http://example.com/solr" must end with a slash'],
+            [{ urls: ['http://example.com/solr/'], timeout: 0 }, '"timeout" must be a positive number'],
+            [{ urls: ['http://example.com/solr/'], retries: -1 }, '"retries" must be a non-negative number'],
+            [{ urls: ['http://example.com/solr/'], retryDelay: '1s' }, '"retryDelay" must be a non-negative number'],
+            [
+                { urls: ['http://example.com/solr/'], weights: [1, 2] },
+                '"weights" must be a list of non-negative numbers for each URL'
+            ],
+            [{ urls: ['http://example.com/solr/'], auth: 'secret' }, '"auth" must be an object'],
+            [{ urls: ['http://example.com/solr/'], coalesce: 'no' }, '"coalesce" must be a boolean'],
+            [{ urls: ['http://example.com/solr/'], timout: 100 }, 'unknown option "timout"']
+        ].forEach(([server, message]) => {
+            it(`should reject server option ${JSON.stringify(server)}`, () => {
+                assert.throws(() => createDataSource(server), {
+                    name: 'ImplementationError',
+                    message: `Invalid configuration for server "default": ${message}`
+                });
+            });
+        });
+
+        it('should accept valid resource options', () => {
+            const dsConfig = {
+                type: 'solr',
+                collection: 'article',
+                server: 'default',
+                allowedSearchFields: 'title, author',
+                termsThreshold: '100',
+                maxEditDistance: 1
+            };
+
+            assert.doesNotThrow(() => dataSource.prepare(dsConfig, ['id']));
+        });
+
+        it('should accept options added by Flora for joined resources', () => {
+            const dsConfig = {
+                type: 'solr',
+                collection: 'article',
+                inherit: 'inherit',
+                joinParentKey: [['id']],
+                joinChildKey: [['articleId']],
+                resolvedJoinParentKey: [['id']],
+                resolvedJoinChildKey: [['articleId']]
+            };
+
+            assert.doesNotThrow(() => dataSource.prepare(dsConfig, ['articleId']));
+        });
+
+        it('should convert numeric and boolean options given as strings', () => {
+            const config = {
+                servers: {
+                    default: {
+                        urls: ['http://solr1.example.com/solr/', 'http://solr2.example.com/solr/'],
+                        timeout: '5000',
+                        retries: '1',
+                        weights: ['3', '1'],
+                        coalesce: 'false',
+                        healthCheck: { collection: 'article', interval: '1000' }
+                    }
+                },
+                cache: { ttl: '10', maxEntries: '100' }
+            };
+            const ds = new FloraSolr(api, config);
+            const dsConfig = { collection: 'article', cacheTtl: '10', filterQuery: 'false', maxEditDistance: '1' };
+
+            ds.prepare(dsConfig);
+            ds.close();
+
+            assert.deepEqual(config.servers.default, {
+                urls: ['http://solr1.example.com/solr/', 'http://solr2.example.com/solr/'],
+                timeout: 5000,
+                retries: 1,
+                weights: [3, 1],
+                coalesce: false,
+                healthCheck: { collection: 'article', interval: 1000 }
+            });
+            assert.deepEqual(config.cache, { ttl: 10, maxEntries: 100 });
+            assert.deepEqual(dsConfig, { collection: 'article', cacheTtl: 10, filterQuery: false, maxEditDistance: 1 });
+        });
+
+        [
+            [{}, '"collection" is required'],
+            [{ collection: 'article', server: 'other' }, 'server "other" is not defined'],
+            [{ collection: 'article', colection: 'article' }, 'unknown option "colection"'],
+            [{ collection: 'article', termsThreshold: 'many' }, '"termsThreshold" must be a positive number'],
+            [{ collection: 'article', cacheTtl: -1 }, '"cacheTtl" must be a non-negative number'],
+            [{ collection: 'article', cursorPaging: 'yes' }, '"cursorPaging" must be a boolean'],
+            [{ collection: 'article', maxEditDistance: 3 }, '"maxEditDistance" must be between 0 and 2'],
+            [{ collection: 'article', groupMethod: 'join' }, 'unknown group method "join"'],
+            [
+                { collection: 'article', exposeSolrSyntax: true, safeSolrSyntax: true },
+                '"exposeSolrSyntax" and "safeSolrSyntax" are mutually exclusive'
+            ],
+            [
+                { collection: 'article', allowedSearchFields: 'title,' },
+                '"" is not a valid field in "allowedSearchFields"'
+            ],
+            [
+                { collection: 'article', allowedSearchFields: 'title|body' },
+                '"title|body" is not a valid field in "allowedSearchFields"'
+            ],
+            [
+                { collection: 'article', allowedSearchFields: 'title,title' },
+                '"allowedSearchFields" contains duplicate fields'
+            ],
+            [{ collection: 'article', edismax: 'qf=title^2 body' }, '"edismax" must be an object'],
+            [{ collection: 'article', edismax: { defType: 'lucene' } }, 'unknown edismax parameter "defType"'],
+            [{ collection: 'article', edismax: { qf: { title: 2 } } }, 'edismax parameter "qf" must be a string'],
+            [{ collection: 'article', tie: 'high' }, 'edismax parameter "tie" must be a non-negative number'],
+            [{ collection: 'article', defType: 'dismax' }, '"defType" must be "edismax"'],
+            [{ collection: 'store', distance: 'location' }, '"distance" must be an object'],
+            [{ collection: 'store', distance: { attribute: 'dist' } }, '"distance" requires a location "field"'],
+            [{ collection: 'store', distanceAttribute: 'dist' }, '"distance" requires a location "field"'],
+            [{ collection: 'store', distance: { field: 'location', unit: 'km' } }, 'unknown distance option "unit"'],
+            [{ collection: 'article', highlight: 'title' }, '"highlight" must be an object'],
+            [{ collection: 'article', highlight: { fields: 'title' } }, 'highlight "fields" must be a list of fields'],
+            [
+                { collection: 'article', highlight: { fields: ['title'], method: 'fast' } },
+                'unsupported highlighting method "fast"'
+            ],
+            [{ collection: 'article', spellcheck: { size: 5 } }, 'unknown spellcheck option "size"'],
+            [{ collection: 'article', spellcheck: { count: 'many' } }, '"count" must be a positive number'],
+            [{ collection: 'article', facets: ['category'] }, '"facets" must be an object'],
+            [{ collection: 'article', facets: { fields: 'category' } }, 'facet "fields" must be a list'],
+            [
+                { collection: 'article', facets: { ranges: [{ field: 'price', start: 0 }] } },
+                'range facet "price" requires "field", "start", "end" and "gap" options'
+            ],
+            [
+                { collection: 'article', facets: { queries: [{ query: 'premium:true' }] } },
+                'query facets require "key" and "query" or "filter"'
+            ],
+            [{ collection: 'article', aggregations: 'price' }, '"aggregations" must be an object'],
+            [
+                { collection: 'article', aggregations: { price: { type: 'median', field: 'price' } } },
+                'aggregation "price" has unknown type "median"'
+            ],
+            [
+                { collection: 'article', aggregations: { categories: { type: 'terms', aggregations: {} } } },
+                'aggregation "categories" requires a "field"'
+            ],
+            [
+                {
+                    collection: 'article',
+                    aggregations: {
+                        categories: { type: 'terms', field: 'cat', aggregations: { avg: { type: 'avg' } } }
+                    }
+                },
+                'aggregation "avg" requires a "field"'
+            ]
+        ].forEach(([dsConfig, message]) => {
+            it(`should reject resource options ${JSON.stringify(dsConfig)}`, () => {
+                assert.throws(() => dataSource.prepare(dsConfig, []), {
+                    name: 'ImplementationError',
+                    message: `Invalid DataSource "solr" configuration: ${message}`
+                });
+            });
+        });
+    });
+
     it('should send requests using POST method', async () => {
         const scope = nock(solrUrl).post(solrIndexPath).query(true).reply(200, testResponse);
 
@@ -104,11 +287,70 @@ describe('Flora SOLR DataSource', () => {
             nock(solrUrl).post(solrIndexPath).reply(500, '{}');
 
             await assert.rejects(() => dataSource.process({ collection: 'article' }), {
-                name: 'Error',
+                name: 'ConnectionError',
                 message: /\b500\b/
             });
         });
 
+        it('should map invalid requests to RequestError and expose Solr error message', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(400, {
+                    responseHeader: { status: 400 },
+                    error: { msg: 'undefined field foo', code: 400 }
+                });
+
+            await assert.rejects(
+                () => dataSource.process({ collection: 'article', queryAddition: 'foo:bar' }),
+                (err) => {
+                    assert.ok(err instanceof RequestError);
+                    assert.equal(err.message, 'Solr error: 400 - Bad Request: undefined field foo');
+                    assert.equal(err.info.url, 'http://example.com/solr/article/select');
+                    assert.equal(err.info.params.q, 'foo:bar');
+                    assert.equal(err.info.status, 400);
+                    return true;
+                }
+            );
+        });
+
+        it('should map server errors to ConnectionError', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(500, { error: { msg: 'java.lang.NullPointerException', code: 500 } });
+
+            await assert.rejects(() => dataSource.process({ collection: 'article' }), {
+                name: 'ConnectionError',
+                message: 'Solr error: 500 - Internal Server Error: java.lang.NullPointerException',
+                httpStatusCode: 503
+            });
+        });
+
+        it('should map timeouts to ConnectionError', async () => {
+            const ds = new FloraSolr(api, {
+                servers: { default: { urls: ['http://example.com/solr/'], timeout: 10 } }
+            });
+            nock(solrUrl).post(solrIndexPath).delay(200).reply(200, testResponse);
+
+            await assert.rejects(() => ds.process({ collection: 'article' }), {
+                name: 'ConnectionError',
+                message: /^Solr timeout: /
+            });
+        });
+
+        it('should map connection errors to ConnectionError', async () => {
+            nock(solrUrl).post(solrIndexPath).replyWithError('ECONNREFUSED');
+
+            await assert.rejects(
+                () => dataSource.process({ collection: 'article' }),
+                (err) => {
+                    assert.ok(err instanceof ConnectionError);
+                    assert.equal(err.message, 'Solr connection error: ECONNREFUSED');
+                    assert.equal(err.info.url, 'http://example.com/solr/article/select');
+                    return true;
+                }
+            );
+        });
+
         it('should trigger error if response cannot be parsed', async () => {
             nock(solrUrl).post(solrIndexPath).reply(418, '<p>Something went wrong</p>');
 
@@ -134,234 +376,610 @@ describe('Flora SOLR DataSource', () => {
         });
     });
 
-    describe('attributes', () => {
-        it('should set requested attributes', async () => {
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, /fl=id%2Cname%2Cdate/)
-                .reply(200, testResponse);
+    describe('failover', () => {
+        it('should retry on next URL on connection errors', async () => {
+            const ds = createDataSource({ retries: 1 });
+            const failScope = nock('http://solr1.example.com').post(solrIndexPath).replyWithError('ECONNREFUSED');
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
 
-            await dataSource.process({ collection: 'article', attributes: ['id', 'name', 'date'] });
+            const response = await ds.process({ collection: 'article' });
 
+            assert.deepEqual(response, { totalCount: 0, data: [] });
+            assert.ok(failScope.isDone());
             assert.ok(scope.isDone());
         });
-    });
 
-    describe('filters', () => {
-        it('should send "*:*" if no filter is set', async () => {
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === '*:*')
-                .reply(200, testResponse);
+        it('should retry on next URL on 503 responses', async () => {
+            const ds = createDataSource({ retries: 1 });
+            const failScope = nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
 
-            await dataSource.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
 
+            assert.ok(failScope.isDone());
             assert.ok(scope.isDone());
         });
 
-        // test conversion of boolean values
-        [
-            [false, 0],
-            [true, 1]
-        ].forEach(([booleanValue, conversionTarget]) => {
-            it('should transform boolean ' + booleanValue + ' value to ' + conversionTarget + '', async () => {
-                const request = {
-                    collection: 'article',
-                    filter: [[{ attribute: 'foo', operator: 'equal', value: booleanValue }]]
-                };
+        it('should not retry on other errors', async () => {
+            const ds = createDataSource({ retries: 1 });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(500, '{}');
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
 
-                const scope = nock(solrUrl)
-                    .post(solrIndexPath, (body) => body?.q === `(foo:${conversionTarget})`)
-                    .reply(200, testResponse);
+            await assert.rejects(() => ds.process({ collection: 'article' }), { message: /\b500\b/ });
+            assert.ok(!scope.isDone());
+        });
 
-                await dataSource.process(request);
+        it('should not retry by default', async () => {
+            const ds = createDataSource();
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
 
-                assert.ok(scope.isDone());
-            });
+            await assert.rejects(() => ds.process({ collection: 'article' }), { message: /\b503\b/ });
+            assert.ok(!scope.isDone());
         });
 
-        it('should support arrays', async () => {
-            const request = {
-                collection: 'article',
-                filter: [[{ attribute: 'foo', operator: 'equal', value: [1, 3, 5, 7] }]]
-            };
+        it('should fail if all retries are exhausted', async () => {
+            const ds = createDataSource({ retries: 1 });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            nock('http://solr2.example.com').post(solrIndexPath).reply(503, '{}');
 
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === '(foo:(1 OR 3 OR 5 OR 7))')
-                .reply(200, testResponse);
+            await assert.rejects(() => ds.process({ collection: 'article' }), { message: /\b503\b/ });
+        });
 
-            await dataSource.process(request);
+        it('should skip recently failed URLs', async () => {
+            const ds = createDataSource({ retries: 1 });
+            nock('http://solr1.example.com').post(solrIndexPath).replyWithError('ECONNREFUSED');
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).times(3).reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
 
             assert.ok(scope.isDone());
         });
 
-        ['\\', '/', '+', '-', '&', '|', '!', '(', ')', '{', '}', '[', ']', '^', '"', '~', '*', '?', ':'].forEach(
-            (character) => {
-                it('should escape special character ' + character, async () => {
-                    const request = {
-                        collection: 'article',
-                        filter: [[{ attribute: 'foo', operator: 'equal', value: character + 'bar' }]]
-                    };
-
-                    const scope = nock(solrUrl)
-                        .post(solrIndexPath, (body) => body?.q === `(foo:\\${character}bar)`)
-                        .reply(200, testResponse);
-
-                    await dataSource.process(request);
+        it('should use failed URLs again after cooldown', async () => {
+            const ds = createDataSource({ retries: 1, failureCooldown: 0 });
+            nock('http://solr1.example.com').post(solrIndexPath).replyWithError('ECONNREFUSED');
+            const scope1 = nock('http://solr1.example.com').post(solrIndexPath).reply(200, testResponse);
+            const scope2 = nock('http://solr2.example.com').post(solrIndexPath).times(2).reply(200, testResponse);
 
-                    assert.ok(scope.isDone());
-                });
-            }
-        );
+            await ds.process({ collection: 'article' }); // solr1 (fails), solr2
+            await ds.process({ collection: 'article' }); // solr1
+            await ds.process({ collection: 'article' }); // solr2
 
-        describe('range queries', () => {
-            [
-                {
-                    description: 'should support range operator',
-                    floraFilter: [[{ attribute: 'foo', operator: 'range', value: [1, 3] }]],
-                    solrFilter: '(foo:[1 TO 3])'
-                },
-                {
-                    description: 'should combine multiple AND-filters to same attribute w/ range operator',
-                    floraFilter: [
-                        [
-                            { attribute: 'foo', operator: 'greater', value: 1 },
-                            { attribute: 'foo', operator: 'lessOrEqual', value: 3 }
-                        ]
-                    ],
-                    solrFilter: '(foo:{1 TO 3])'
-                },
-                {
-                    description: 'should NOT combine multiple OR-filters to same attribute w/ range operator',
-                    floraFilter: [
-                        [{ attribute: 'foo', operator: 'greater', value: 1 }],
-                        [{ attribute: 'foo', operator: 'less', value: 3 }]
-                    ],
-                    solrFilter: '((foo:{1 TO *]) OR (foo:[* TO 3}))'
-                },
-                {
-                    description: 'should sort filters by "greater" operator',
-                    floraFilter: [
-                        [
-                            { attribute: 'foo', operator: 'less', value: 3 },
-                            { attribute: 'foo', operator: 'greater', value: 1 }
-                        ]
-                    ],
-                    solrFilter: '(foo:{1 TO 3})'
-                },
-                {
-                    description: 'should sort filters by "greaterOrEqual" operator',
-                    floraFilter: [
-                        [
-                            { attribute: 'foo', operator: 'less', value: 3 },
-                            { attribute: 'foo', operator: 'greaterOrEqual', value: 1 }
-                        ]
-                    ],
-                    solrFilter: '(foo:[1 TO 3})'
-                }
-            ].forEach(({ description, floraFilter, solrFilter }) => {
-                it(description, async () => {
-                    const request = { collection: 'article', filter: floraFilter };
+            assert.ok(scope1.isDone());
+            assert.ok(scope2.isDone());
+        });
 
-                    const scope = nock(solrUrl)
-                        .post(solrIndexPath, (body) => body?.q === solrFilter)
-                        .reply(200, testResponse);
+        it('should use failed URLs if no other URL is available', async () => {
+            const ds = createDataSource({ retries: 0 });
+            nock('http://solr1.example.com').post(solrIndexPath).replyWithError('ECONNREFUSED');
+            nock('http://solr2.example.com').post(solrIndexPath).replyWithError('ECONNREFUSED');
+            const scope = nock('http://solr1.example.com').post(solrIndexPath).reply(200, testResponse);
 
-                    await dataSource.process(request);
+            await assert.rejects(() => ds.process({ collection: 'article' }));
+            await assert.rejects(() => ds.process({ collection: 'article' }));
+            await ds.process({ collection: 'article' });
 
-                    assert.ok(scope.isDone());
-                });
-            });
+            assert.ok(scope.isDone());
+        });
+    });
 
-            [
-                ['lessOrEqual', 'less', '(foo:[* TO 1] AND foo:[* TO 3})'],
-                ['greater', 'greaterOrEqual', '(foo:{1 TO *] AND foo:[3 TO *])']
-            ].forEach(([operator1, operator2, solrFilter]) => {
-                it('should not create range filters for same operator types', async () => {
-                    const request = {
-                        collection: 'article',
-                        filter: [
-                            [
-                                { attribute: 'foo', operator: operator1, value: 1 },
-                                { attribute: 'foo', operator: operator2, value: 3 }
-                            ]
-                        ]
-                    };
+    describe('circuit breaker', () => {
+        const solr1 = 'http://solr1.example.com/solr/';
+        const solr2 = 'http://solr2.example.com/solr/';
 
-                    const scope = nock(solrUrl)
-                        .post(solrIndexPath, (body) => body?.q === solrFilter)
-                        .reply(200, testResponse);
+        it('should open circuit after consecutive failures reach threshold', async () => {
+            const ds = createDataSource({ retries: 1, failureThreshold: 2 });
+            nock('http://solr1.example.com').post(solrIndexPath).times(2).reply(503, '{}');
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).times(3).reply(200, testResponse);
 
-                    await dataSource.process(request);
+            await ds.process({ collection: 'article' }); // solr1 (1st failure), solr2
+            await ds.process({ collection: 'article' }); // solr1 (2nd failure), solr2
+            await ds.process({ collection: 'article' }); // solr2 - solr1 is out of rotation
 
-                    assert.ok(scope.isDone());
-                });
-            });
+            assert.ok(scope.isDone());
         });
 
-        it('should transform single filters', async () => {
-            const request = {
-                collection: 'article',
-                filter: [[{ attribute: 'foo', operator: 'equal', value: 'foo' }]]
-            };
+        it('should treat slow responses as failures', async () => {
+            const ds = createDataSource({ latencyThreshold: 10 });
+            nock('http://solr1.example.com').post(solrIndexPath).delay(50).reply(200, testResponse);
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).times(2).reply(200, testResponse);
 
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === '(foo:foo)')
-                .reply(200, testResponse);
+            const response = await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
 
-            await dataSource.process(request);
+            assert.deepEqual(response, { totalCount: 0, data: [] });
+            assert.ok(scope.isDone());
+        });
 
+        it('should put URLs back into rotation after successful health check', async () => {
+            const ds = createDataSource({ healthCheck: { collection: 'article', interval: 10 } });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            const pingScope = nock('http://solr1.example.com')
+                .get('/solr/article/admin/ping')
+                .query({ wt: 'json' })
+                .reply(200, '{"status":"OK"}');
+            const scope = nock('http://solr1.example.com').post(solrIndexPath).reply(200, testResponse);
+
+            await assert.rejects(() => ds.process({ collection: 'article' }));
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
+            await ds.process({ collection: 'article' }); // solr2
+            await ds.process({ collection: 'article' }); // solr1
+            await ds.close();
+
+            assert.ok(pingScope.isDone());
             assert.ok(scope.isDone());
         });
 
-        it('should transform complex filters', async () => {
-            const request = {
-                collection: 'article',
-                search: 'foo bar',
-                filter: [
-                    [
-                        { attribute: 'authorId', operator: 'equal', value: 1337 },
-                        { attribute: 'typeId', operator: 'equal', value: 4711 }
-                    ],
-                    [{ attribute: 'status', operator: 'equal', value: 'future' }]
-                ]
-            };
+        it('should support custom health check path', async () => {
+            const ds = createDataSource({ healthCheck: { path: 'admin/info/health', interval: 10 } });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            const pingScope = nock('http://solr1.example.com')
+                .get('/solr/admin/info/health')
+                .query({ wt: 'json' })
+                .reply(200, '{"status":"OK"}');
 
-            const scope = nock(solrUrl)
-                .post(
-                    solrIndexPath,
-                    (body) => body?.q === 'foo bar AND ((authorId:1337 AND typeId:4711) OR (status:future))'
-                )
-                .reply(200, testResponse);
+            await assert.rejects(() => ds.process({ collection: 'article' }));
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            await ds.close();
 
-            await dataSource.process(request);
+            assert.ok(pingScope.isDone());
+        });
 
-            assert.ok(scope.isDone());
+        it('should require path or collection for health checks', () => {
+            assert.throws(() => createDataSource({ healthCheck: {} }), { name: 'ImplementationError' });
         });
 
-        it('should support composite key filters', async () => {
-            const request = {
-                collection: 'awesome_index',
-                filter: [
-                    [
-                        {
-                            attribute: ['intKey', 'stringKey', 'boolKey'],
-                            operator: 'equal',
-                            // test string escaping and boolean conversion
-                            value: [
-                                [1337, '(foo)', true],
-                                [4711, 'bar!', false]
+        it('should report circuit breaker states', async () => {
+            const values = {};
+            const status = { increment: () => {}, set: (key, value) => (values[key] = value) };
+            const ds = new FloraSolr(api, {
+                servers: { default: { urls: [solr1, solr2], retries: 1 } },
+                _status: status
+            });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+
+            assert.deepEqual(values.circuitBreakers, {
+                default: {
+                    [solr1]: { state: 'open', failures: 1 },
+                    [solr2]: { state: 'closed', failures: 0 }
+                }
+            });
+        });
+
+        it('should report initial circuit breaker states', () => {
+            const values = {};
+            const status = { increment: () => {}, set: (key, value) => (values[key] = value) };
+            new FloraSolr(api, { servers: { default: { urls: [solr1, solr2] } }, _status: status });
+
+            assert.deepEqual(values.circuitBreakers, {
+                default: {
+                    [solr1]: { state: 'closed', failures: 0 },
+                    [solr2]: { state: 'closed', failures: 0 }
+                }
+            });
+        });
+
+        it('should report failure counts of closed circuits', async () => {
+            const values = {};
+            const status = { increment: () => {}, set: (key, value) => (values[key] = value) };
+            const ds = new FloraSolr(api, {
+                servers: { default: { urls: [solr1, solr2], retries: 1, failureThreshold: 3 } },
+                _status: status
+            });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+
+            assert.deepEqual(values.circuitBreakers.default[solr1], { state: 'closed', failures: 1 });
+        });
+    });
+
+    describe('load balancing', () => {
+        it('should use round-robin by default', async () => {
+            const ds = createDataSource();
+            const scope1 = nock('http://solr1.example.com').post(solrIndexPath).times(2).reply(200, testResponse);
+            const scope2 = nock('http://solr2.example.com').post(solrIndexPath).times(2).reply(200, testResponse);
+
+            for (let i = 0; i < 4; i++) await ds.process({ collection: 'article' });
+
+            assert.ok(scope1.isDone());
+            assert.ok(scope2.isDone());
+        });
+
+        it('should prefer fastest URL with "leastLatency" strategy', async (ctx) => {
+            let random = 0;
+            ctx.mock.method(Math, 'random', () => random);
+            const ds = createDataSource({ balancing: 'leastLatency' });
+            const scope1 = nock('http://solr1.example.com').post(solrIndexPath).delay(50).reply(200, testResponse);
+            const scope2 = nock('http://solr2.example.com').post(solrIndexPath).times(3).reply(200, testResponse);
+
+            await ds.process({ collection: 'article' }); // solr1
+            random = 0.99;
+            for (let i = 0; i < 3; i++) await ds.process({ collection: 'article' });
+
+            assert.ok(scope1.isDone());
+            assert.ok(scope2.isDone());
+        });
+
+        it('should still send requests to slower URLs with "leastLatency" strategy', async (ctx) => {
+            let random = 0.99;
+            ctx.mock.method(Math, 'random', () => random);
+            const ds = createDataSource({ balancing: 'leastLatency' });
+            const scope1 = nock('http://solr1.example.com')
+                .post(solrIndexPath)
+                .delay(50)
+                .times(2)
+                .reply(200, testResponse);
+            const scope2 = nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
+
+            await ds.process({ collection: 'article' }); // solr2
+            random = 0;
+            for (let i = 0; i < 2; i++) await ds.process({ collection: 'article' });
+
+            assert.ok(scope1.isDone());
+            assert.ok(scope2.isDone());
+        });
+
+        it('should not prefer unmeasured URLs with "leastLatency" strategy', async (ctx) => {
+            ctx.mock.method(Math, 'random', () => 0.99);
+            const ds = createDataSource({ balancing: 'leastLatency' });
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).times(3).reply(200, testResponse);
+
+            for (let i = 0; i < 3; i++) await ds.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should distribute requests by weight with "weighted" strategy', async () => {
+            const ds = createDataSource({ balancing: 'weighted', weights: [3, 1] });
+            const scope1 = nock('http://solr1.example.com').post(solrIndexPath).times(6).reply(200, testResponse);
+            const scope2 = nock('http://solr2.example.com').post(solrIndexPath).times(2).reply(200, testResponse);
+
+            for (let i = 0; i < 8; i++) await ds.process({ collection: 'article' });
+
+            assert.ok(scope1.isDone());
+            assert.ok(scope2.isDone());
+        });
+
+        it('should skip unavailable URLs with "weighted" strategy', async () => {
+            const ds = createDataSource({ balancing: 'weighted', weights: [3, 1], retries: 1 });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            const scope = nock('http://solr2.example.com').post(solrIndexPath).times(3).reply(200, testResponse);
+
+            for (let i = 0; i < 3; i++) await ds.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should throw an error for unknown strategies', () => {
+            assert.throws(() => createDataSource({ balancing: 'random' }), {
+                name: 'ImplementationError',
+                message: 'Unknown balancing strategy "random" for server "default"'
+            });
+        });
+    });
+
+    describe('authentication', () => {
+        it('should send basic auth credentials', async () => {
+            const ds = createDataSource({
+                urls: ['http://example.com/solr/'],
+                auth: { username: 'flora', password: 's3cr3t' }
+            });
+            const scope = nock(solrUrl)
+                .matchHeader('authorization', 'Basic ' + Buffer.from('flora:s3cr3t').toString('base64'))
+                .post(solrIndexPath)
+                .reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should send static bearer tokens', async () => {
+            const ds = createDataSource({ urls: ['http://example.com/solr/'], auth: { token: 'abc' } });
+            const scope = nock(solrUrl)
+                .matchHeader('authorization', 'Bearer abc')
+                .post(solrIndexPath)
+                .reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should cache tokens from token provider', async () => {
+            let calls = 0;
+            const ds = createDataSource({
+                urls: ['http://example.com/solr/'],
+                auth: { tokenProvider: async () => 'token' + ++calls }
+            });
+            const scope = nock(solrUrl)
+                .matchHeader('authorization', 'Bearer token1')
+                .post(solrIndexPath)
+                .times(2)
+                .reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+            assert.equal(calls, 1);
+        });
+
+        it('should refresh token on 401 responses', async () => {
+            let calls = 0;
+            const ds = createDataSource({
+                urls: ['http://example.com/solr/'],
+                auth: { tokenProvider: async () => 'token' + ++calls }
+            });
+            nock(solrUrl).matchHeader('authorization', 'Bearer token1').post(solrIndexPath).reply(401, '{}');
+            const scope = nock(solrUrl)
+                .matchHeader('authorization', 'Bearer token2')
+                .post(solrIndexPath)
+                .reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should send custom headers', async () => {
+            const ds = createDataSource({ urls: ['http://example.com/solr/'], headers: { 'X-Tenant': 'flora' } });
+            const scope = nock(solrUrl)
+                .matchHeader('x-tenant', 'flora')
+                .matchHeader('content-type', 'application/x-www-form-urlencoded')
+                .post(solrIndexPath)
+                .reply(200, testResponse);
+
+            await ds.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should authenticate update requests', async () => {
+            const ds = createDataSource({ urls: ['http://example.com/solr/'], auth: { token: 'abc' } });
+            const scope = nock(solrUrl)
+                .matchHeader('authorization', 'Bearer abc')
+                .post('/solr/article/update')
+                .query(true)
+                .reply(200, '{}');
+
+            await ds.commit({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+    });
+
+    describe('attributes', () => {
+        it('should set requested attributes', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, /fl=id%2Cname%2Cdate/)
+                .reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article', attributes: ['id', 'name', 'date'] });
+
+            assert.ok(scope.isDone());
+        });
+
+        describe('field definitions', () => {
+            const fields = {
+                id: { type: 'int' },
+                title: { map: 'title_t' },
+                authorId: { map: 'author_id', type: 'int' },
+                date: { map: 'date_dt', type: 'datetime' },
+                premium: { type: 'boolean' },
+                tags: { map: 'tags_ss', type: 'string', multiValued: 'true' }
+            };
+            const attributes = ['id', 'title', 'authorId', 'date', 'premium', 'tags', 'unmapped'];
+
+            it('should map attributes to Solr fields', async () => {
+                const dsConfig = { collection: 'article', fields };
+                dataSource.prepare(dsConfig, attributes);
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.equal(body.fl, 'id,title:title_t,date:date_dt');
+                        assert.equal(body.fq, '(author_id:(1 OR 2) AND ((tags_ss:foo AND title_t:bar)))');
+                        assert.equal(body.sort, 'date_dt desc');
+                        return true;
+                    })
+                    .reply(200, testResponse);
+
+                await dataSource.process({
+                    ...dsConfig,
+                    attributes: ['id', 'title', 'date'],
+                    filter: [
+                        [
+                            { attribute: 'authorId', operator: 'equal', value: [1, 2] },
+                            { attribute: ['tags', 'title'], operator: 'equal', value: [['foo', 'bar']] }
+                        ]
+                    ],
+                    order: [{ attribute: 'date', direction: 'desc' }]
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should map group attribute', async () => {
+                const dsConfig = { collection: 'article', fields };
+                dataSource.prepare(dsConfig, attributes);
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body['group.field'] === 'author_id' && body['group.main'] === 'true')
+                    .reply(200, testResponse)
+                    .post(solrIndexPath, (body) => body['group.field'] === 'author_id' && body.group === 'true')
+                    .reply(200, { grouped: { author_id: { matches: 0, ngroups: 0, groups: [] } } })
+                    .post(solrIndexPath, (body) => {
+                        assert.equal(body.fq, '{!collapse field=author_id}');
+                        assert.equal(body.fl, 'id,authorId:author_id');
+                        return true;
+                    })
+                    .reply(200, { response: { numFound: 1, docs: [{ id: '1', authorId: '3' }] }, expanded: {} });
+
+                await dataSource.process({ ...dsConfig, limitPer: 'authorId', limit: 1 });
+                await dataSource.process({ ...dsConfig, limitPer: 'authorId', limit: 1, groupResults: true });
+                const response = await dataSource.process({
+                    ...dsConfig,
+                    attributes: ['id'],
+                    limitPer: 'authorId',
+                    limit: 1,
+                    groupResults: true,
+                    groupMethod: 'collapse'
+                });
+
+                assert.ok(scope.isDone());
+                assert.deepEqual(response.data, [{ groupValue: '3', totalCount: 1, data: [{ id: 1 }] }]);
+            });
+
+            it('should map attributes in facet, aggregation and delete filters', async () => {
+                const dsConfig = { collection: 'article', fields };
+                const filter = [[{ attribute: 'authorId', operator: 'equal', value: 1 }]];
+                dataSource.prepare(dsConfig, attributes);
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.equal(body['facet.query'], '{!key=own}(author_id:1)');
+                        assert.deepEqual(JSON.parse(body['json.facet']).own.domain, { filter: '(author_id:1)' });
+                        return true;
+                    })
+                    .reply(200, testResponse)
+                    .post('/solr/article/update', { delete: { query: '(author_id:1)' } })
+                    .query(true)
+                    .reply(200, '{"responseHeader":{"status":0}}');
+
+                await dataSource.process({
+                    ...dsConfig,
+                    facets: { queries: [{ key: 'own', filter }] },
+                    aggregations: { own: { type: 'query', filter } }
+                });
+                await dataSource.delete({ ...dsConfig, filter });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should convert returned documents', async () => {
+                const dsConfig = { collection: 'article', fields };
+                dataSource.prepare(dsConfig, attributes);
+
+                nock(solrUrl)
+                    .post(solrIndexPath)
+                    .reply(200, {
+                        response: {
+                            numFound: 1,
+                            docs: [
+                                {
+                                    id: '1',
+                                    title: ['foo'],
+                                    authorId: [],
+                                    date: '2024-03-01T12:00:00Z',
+                                    premium: 'true',
+                                    tags: 'news',
+                                    unmapped: ['bar']
+                                }
                             ]
                         }
-                    ]
-                ]
+                    });
+
+                const { data } = await dataSource.process(dsConfig);
+
+                assert.deepEqual(data, [
+                    {
+                        id: 1,
+                        title: 'foo',
+                        authorId: null,
+                        date: new Date('2024-03-01T12:00:00Z'),
+                        premium: true,
+                        tags: ['news'],
+                        unmapped: ['bar']
+                    }
+                ]);
+            });
+
+            it('should parse field definitions from XML resource configs', () => {
+                const dsConfig = {
+                    collection: 'article',
+                    fields: 'id:int, title=title_t, date=date_dt:datetime, tags=tags_ss:string[], topics[]'
+                };
+                dataSource.prepare(dsConfig, attributes);
+
+                assert.deepEqual(dsConfig.fieldMapping, {
+                    id: { field: 'id', type: 'int', multiValued: false },
+                    title: { field: 'title_t', type: 'raw', multiValued: false },
+                    date: { field: 'date_dt', type: 'datetime', multiValued: false },
+                    tags: { field: 'tags_ss', type: 'string', multiValued: true },
+                    topics: { field: 'topics', type: 'raw', multiValued: true }
+                });
+            });
+
+            it('should not map attributes without field definitions', () => {
+                const dsConfig = { collection: 'article' };
+                dataSource.prepare(dsConfig, attributes);
+                assert.deepEqual(dsConfig, { collection: 'article' });
+            });
+
+            it('should reject invalid field definitions', () => {
+                assert.throws(() => dataSource.prepare({ collection: 'article', fields: 'title=title t' }), {
+                    name: 'ImplementationError',
+                    message: 'Invalid field definition "title=title t"'
+                });
+            });
+
+            it('should reject unsupported types', () => {
+                assert.throws(() => dataSource.prepare({ collection: 'article', fields: { id: { type: 'uuid' } } }), {
+                    name: 'ImplementationError',
+                    message: 'Unsupported type "uuid" for attribute "id"'
+                });
+            });
+        });
+    });
+
+    describe('filters', () => {
+        it('should send "*:*" if no filter is set', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body?.q === '*:*')
+                .reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        // test conversion of boolean values
+        [
+            [false, 0],
+            [true, 1]
+        ].forEach(([booleanValue, conversionTarget]) => {
+            it('should transform boolean ' + booleanValue + ' value to ' + conversionTarget + '', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [[{ attribute: 'foo', operator: 'equal', value: booleanValue }]]
+                };
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.fq === `(foo:${conversionTarget})`)
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+        });
+
+        it('should support arrays', async () => {
+            const request = {
+                collection: 'article',
+                filter: [[{ attribute: 'foo', operator: 'equal', value: [1, 3, 5, 7] }]]
             };
 
             const scope = nock(solrUrl)
-                .post(
-                    '/solr/awesome_index/select',
-                    (body) =>
-                        body?.q ===
-                        '((intKey:1337 AND stringKey:\\(foo\\) AND boolKey:1) OR (intKey:4711 AND stringKey:bar\\! AND boolKey:0))'
-                )
+                .post(solrIndexPath, (body) => body?.fq === '(foo:(1 OR 3 OR 5 OR 7))')
                 .reply(200, testResponse);
 
             await dataSource.process(request);
@@ -369,223 +987,2228 @@ describe('Flora SOLR DataSource', () => {
             assert.ok(scope.isDone());
         });
 
-        Object.entries({
-            equal: '(date:2015\\-12\\-31)',
-            greater: '(date:{2015\\-12\\-31 TO *])',
-            greaterOrEqual: '(date:[2015\\-12\\-31 TO *])',
-            less: '(date:[* TO 2015\\-12\\-31})',
-            lessOrEqual: '(date:[* TO 2015\\-12\\-31])',
-            notEqual: '(-date:2015\\-12\\-31)'
-        }).forEach(([operator, solrFilter]) => {
-            it('should support "' + operator + '" filters', async () => {
+        ['\\', '/', '+', '-', '&', '|', '!', '(', ')', '{', '}', '[', ']', '^', '"', '~', '*', '?', ':'].forEach(
+            (character) => {
+                it('should escape special character ' + character, async () => {
+                    const request = {
+                        collection: 'article',
+                        filter: [[{ attribute: 'foo', operator: 'equal', value: character + 'bar' }]]
+                    };
+
+                    const scope = nock(solrUrl)
+                        .post(solrIndexPath, (body) => body?.fq === `(foo:\\${character}bar)`)
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            }
+        );
+
+        describe('pattern filters', () => {
+            Object.entries({
+                like: '(title:foo*b\\?r\\ baz*)',
+                notLike: '(-title:foo*b\\?r\\ baz*)',
+                contains: '(title:*foo\\*b\\?r\\ baz\\**)',
+                startsWith: '(title:foo\\*b\\?r\\ baz\\**)'
+            }).forEach(([operator, solrFilter]) => {
+                it('should support "' + operator + '" filters', async () => {
+                    const request = {
+                        collection: 'article',
+                        filter: [[{ attribute: 'title', operator, value: 'foo*b?r baz*' }]]
+                    };
+
+                    const scope = nock(solrUrl)
+                        .post(solrIndexPath, (body) => body?.fq === solrFilter)
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            });
+
+            it('should support arrays', async () => {
                 const request = {
                     collection: 'article',
-                    filter: [[{ attribute: 'date', operator: operator, value: '2015-12-31' }]]
+                    filter: [[{ attribute: 'title', operator: 'startsWith', value: ['foo', 'AND'] }]]
+                };
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.fq === '(title:(foo* OR AND*))')
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should support composite keys', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [[{ attribute: ['type', 'title'], operator: 'contains', value: [['news', 'foo bar']] }]]
                 };
 
                 const scope = nock(solrUrl)
-                    .post('/solr/article/select', (body) => body?.q === solrFilter)
+                    .post(solrIndexPath, (body) => body?.fq === '((type:*news* AND title:*foo\\ bar*))')
                     .reply(200, testResponse);
 
-                await dataSource.process(request);
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+        });
+
+        describe('null values', () => {
+            [
+                ['equal', null, '(-foo:[* TO *])'],
+                ['notEqual', null, '(foo:[* TO *])'],
+                ['equal', [1, null], '((foo:(1) OR (*:* -foo:[* TO *])))'],
+                ['notEqual', [1, null], '((foo:[* TO *] -foo:(1)))'],
+                ['equal', [null], '(-foo:[* TO *])']
+            ].forEach(([operator, value, solrFilter]) => {
+                it(`should support "${operator}" ${JSON.stringify(value)}`, async () => {
+                    const request = {
+                        collection: 'article',
+                        filter: [[{ attribute: 'foo', operator, value }]]
+                    };
+
+                    const scope = nock(solrUrl)
+                        .post(solrIndexPath, (body) => body?.fq === solrFilter)
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            });
+
+            it('should support composite keys', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [
+                        [
+                            {
+                                attribute: ['foo', 'bar'],
+                                operator: 'equal',
+                                value: [
+                                    [1, null],
+                                    [2, 3]
+                                ]
+                            }
+                        ]
+                    ]
+                };
+
+                const scope = nock(solrUrl)
+                    .post(
+                        solrIndexPath,
+                        (body) => body?.fq === '((foo:1 AND (*:* -bar:[* TO *])) OR (foo:2 AND bar:3))'
+                    )
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should negate composite keys', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [[{ attribute: ['foo', 'bar'], operator: 'notEqual', value: [[1, 2]] }]]
+                };
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.fq === '(-((foo:1 AND bar:2)))')
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+        });
+
+        describe('terms query', () => {
+            it('should use terms query parser for large lists', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [[{ attribute: 'id', operator: 'equal', value: [1, 2, 3] }]],
+                    termsThreshold: 3
+                };
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.fq === '(_query_:"{!terms f=id}1,2,3")')
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should negate terms query and escape values', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [[{ attribute: 'name', operator: 'notEqual', value: ['a"b', 'c\\d'] }]],
+                    termsThreshold: 2
+                };
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.fq === '(-_query_:"{!terms f=name}a\\"b,c\\\\d")')
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should fallback to boolean query for values containing the separator', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [[{ attribute: 'name', operator: 'equal', value: ['a,b', 'c'] }]],
+                    termsThreshold: 2
+                };
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.fq === '(name:(a,b OR c))')
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+        });
+
+        describe('range queries', () => {
+            [
+                {
+                    description: 'should support range operator',
+                    floraFilter: [[{ attribute: 'foo', operator: 'range', value: [1, 3] }]],
+                    solrFilter: '(foo:[1 TO 3])'
+                },
+                {
+                    description: 'should combine multiple AND-filters to same attribute w/ range operator',
+                    floraFilter: [
+                        [
+                            { attribute: 'foo', operator: 'greater', value: 1 },
+                            { attribute: 'foo', operator: 'lessOrEqual', value: 3 }
+                        ]
+                    ],
+                    solrFilter: '(foo:{1 TO 3])'
+                },
+                {
+                    description: 'should NOT combine multiple OR-filters to same attribute w/ range operator',
+                    floraFilter: [
+                        [{ attribute: 'foo', operator: 'greater', value: 1 }],
+                        [{ attribute: 'foo', operator: 'less', value: 3 }]
+                    ],
+                    solrFilter: '((foo:{1 TO *]) OR (foo:[* TO 3}))'
+                },
+                {
+                    description: 'should sort filters by "greater" operator',
+                    floraFilter: [
+                        [
+                            { attribute: 'foo', operator: 'less', value: 3 },
+                            { attribute: 'foo', operator: 'greater', value: 1 }
+                        ]
+                    ],
+                    solrFilter: '(foo:{1 TO 3})'
+                },
+                {
+                    description: 'should sort filters by "greaterOrEqual" operator',
+                    floraFilter: [
+                        [
+                            { attribute: 'foo', operator: 'less', value: 3 },
+                            { attribute: 'foo', operator: 'greaterOrEqual', value: 1 }
+                        ]
+                    ],
+                    solrFilter: '(foo:[1 TO 3})'
+                }
+            ].forEach(({ description, floraFilter, solrFilter }) => {
+                it(description, async () => {
+                    const request = { collection: 'article', filter: floraFilter };
+
+                    const scope = nock(solrUrl)
+                        .post(solrIndexPath, (body) => body?.fq === solrFilter)
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            });
+
+            [
+                ['lessOrEqual', 'less', '(foo:[* TO 1] AND foo:[* TO 3})'],
+                ['greater', 'greaterOrEqual', '(foo:{1 TO *] AND foo:[3 TO *])']
+            ].forEach(([operator1, operator2, solrFilter]) => {
+                it('should not create range filters for same operator types', async () => {
+                    const request = {
+                        collection: 'article',
+                        filter: [
+                            [
+                                { attribute: 'foo', operator: operator1, value: 1 },
+                                { attribute: 'foo', operator: operator2, value: 3 }
+                            ]
+                        ]
+                    };
+
+                    const scope = nock(solrUrl)
+                        .post(solrIndexPath, (body) => body?.fq === solrFilter)
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            });
+        });
+
+        describe('dates', () => {
+            const date = new Date('2024-03-01T12:00:00Z');
+
+            [
+                ['equal', date, '(date:"2024-03-01T12:00:00.000Z")'],
+                ['notEqual', '2024-03-01T12:00:00Z', '(-date:"2024-03-01T12:00:00Z")'],
+                [
+                    'equal',
+                    [date, '2024-03-02T00:00:00Z'],
+                    '(date:("2024-03-01T12:00:00.000Z" OR "2024-03-02T00:00:00Z"))'
+                ],
+                ['greater', date, '(date:{2024-03-01T12:00:00.000Z TO *])'],
+                ['greaterOrEqual', 'NOW-7DAYS/DAY', '(date:[NOW-7DAYS/DAY TO *])'],
+                ['less', '2024-03-01T00:00:00Z+1MONTH', '(date:[* TO 2024-03-01T00:00:00Z+1MONTH})'],
+                ['range', ['NOW/DAY-1YEAR', 'NOW/DAY+1DAY'], '(date:[NOW/DAY-1YEAR TO NOW/DAY+1DAY])'],
+                ['range', [date, null], '(date:[2024-03-01T12:00:00.000Z TO *])'],
+                ['lessOrEqual', 'NOW-1FOO', '(date:[* TO NOW\\-1FOO])'],
+                ['equal', 'NOW/DAY', '(date:NOW\\/DAY)']
+            ].forEach(([operator, value, solrFilter]) => {
+                it(`should support "${operator}" ${JSON.stringify(value)}`, async () => {
+                    const request = { collection: 'article', filter: [[{ attribute: 'date', operator, value }]] };
+
+                    const scope = nock(solrUrl)
+                        .post(solrIndexPath, (body) => body?.fq === solrFilter)
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            });
+
+            it('should serialize dates in terms queries', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [
+                        [{ attribute: 'date', operator: 'equal', value: [date, new Date('2024-03-02T00:00:00Z')] }]
+                    ],
+                    termsThreshold: 2
+                };
+
+                const scope = nock(solrUrl)
+                    .post(
+                        solrIndexPath,
+                        (body) =>
+                            body?.fq === '(_query_:"{!terms f=date}2024-03-01T12:00:00.000Z,2024-03-02T00:00:00.000Z")'
+                    )
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should combine date math filters to range', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [
+                        [
+                            { attribute: 'date', operator: 'greaterOrEqual', value: 'NOW-7DAYS/DAY' },
+                            { attribute: 'date', operator: 'less', value: date }
+                        ]
+                    ]
+                };
+
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.fq === '(date:[NOW-7DAYS/DAY TO 2024-03-01T12:00:00.000Z})')
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+        });
+
+        it('should transform single filters', async () => {
+            const request = {
+                collection: 'article',
+                filter: [[{ attribute: 'foo', operator: 'equal', value: 'foo' }]]
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body?.fq === '(foo:foo)')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should transform complex filters', async () => {
+            const request = {
+                collection: 'article',
+                search: 'foo bar',
+                filter: [
+                    [
+                        { attribute: 'authorId', operator: 'equal', value: 1337 },
+                        { attribute: 'typeId', operator: 'equal', value: 4711 }
+                    ],
+                    [{ attribute: 'status', operator: 'equal', value: 'future' }]
+                ]
+            };
+
+            const scope = nock(solrUrl)
+                .post(
+                    solrIndexPath,
+                    (body) =>
+                        body?.q === 'foo bar' && body.fq === '((authorId:1337 AND typeId:4711) OR (status:future))'
+                )
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should support composite key filters', async () => {
+            const request = {
+                collection: 'awesome_index',
+                filter: [
+                    [
+                        {
+                            attribute: ['intKey', 'stringKey', 'boolKey'],
+                            operator: 'equal',
+                            // test string escaping and boolean conversion
+                            value: [
+                                [1337, '(foo)', true],
+                                [4711, 'bar!', false]
+                            ]
+                        }
+                    ]
+                ]
+            };
+
+            const scope = nock(solrUrl)
+                .post(
+                    '/solr/awesome_index/select',
+                    (body) =>
+                        body?.fq ===
+                        '((intKey:1337 AND stringKey:\\(foo\\) AND boolKey:1) OR (intKey:4711 AND stringKey:bar\\! AND boolKey:0))'
+                )
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        Object.entries({
+            equal: '(date:2015\\-12\\-31)',
+            greater: '(date:{2015\\-12\\-31 TO *])',
+            greaterOrEqual: '(date:[2015\\-12\\-31 TO *])',
+            less: '(date:[* TO 2015\\-12\\-31})',
+            lessOrEqual: '(date:[* TO 2015\\-12\\-31])',
+            notEqual: '(-date:2015\\-12\\-31)'
+        }).forEach(([operator, solrFilter]) => {
+            it('should support "' + operator + '" filters', async () => {
+                const request = {
+                    collection: 'article',
+                    filter: [[{ attribute: 'date', operator: operator, value: '2015-12-31' }]]
+                };
+
+                const scope = nock(solrUrl)
+                    .post('/solr/article/select', (body) => body?.fq === solrFilter)
+                    .reply(200, testResponse);
+
+                await dataSource.process(request);
+
+                assert.ok(scope.isDone());
+            });
+        });
+
+        describe('spatial filters', () => {
+            ['geofilt', 'bbox'].forEach((operator) => {
+                it(`should support "${operator}" filters`, async () => {
+                    const request = {
+                        collection: 'store',
+                        filter: [[{ attribute: 'location', operator, value: [52.52, 13.405, 10] }]]
+                    };
+
+                    const scope = nock(solrUrl)
+                        .post(
+                            '/solr/store/select',
+                            (body) => body?.fq === `(_query_:"{!${operator} sfield=location pt=52.52,13.405 d=10}")`
+                        )
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            });
+
+            [null, [52.52, 13.405], [91, 13.405, 10], [52.52, 13.405, -1], ['foo', 13.405, 10]].forEach((value) => {
+                it(`should reject invalid value ${JSON.stringify(value)}`, async () => {
+                    await assert.rejects(
+                        dataSource.process({
+                            collection: 'store',
+                            filter: [[{ attribute: 'location', operator: 'geofilt', value }]]
+                        }),
+                        RequestError
+                    );
+                });
+            });
+        });
+
+        describe('filter queries', () => {
+            const filter = [
+                [
+                    { attribute: 'authorId', operator: 'equal', value: 1337 },
+                    { attribute: 'date', operator: 'greaterOrEqual', value: 1 },
+                    { attribute: 'date', operator: 'less', value: 3 }
+                ]
+            ];
+
+            it('should fold filters into main query if filter queries are disabled', async () => {
+                const scope = nock(solrUrl)
+                    .post(
+                        solrIndexPath,
+                        (body) => body.q === 'foo AND (authorId:1337 AND date:[1 TO 3})' && !('fq' in body)
+                    )
+                    .reply(200, testResponse);
+
+                await dataSource.process({ collection: 'article', search: 'foo', filter, filterQuery: false });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should split filter queries per attribute', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.deepEqual(body.fq, ['(authorId:1337)', '(date:[1 TO 3})']);
+                        return body.q === '*:*';
+                    })
+                    .reply(200, testResponse);
+
+                await dataSource.process({ collection: 'article', filter, splitFilters: true });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should not split OR-combined filters', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body.fq === '((authorId:1337) OR (typeId:4711))')
+                    .reply(200, testResponse);
+
+                await dataSource.process({
+                    collection: 'article',
+                    filter: [
+                        [{ attribute: 'authorId', operator: 'equal', value: 1337 }],
+                        [{ attribute: 'typeId', operator: 'equal', value: 4711 }]
+                    ],
+                    splitFilters: true
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should support cache and cost local params', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.deepEqual(body.fq, [
+                            '{!cache=false cost=150}(authorId:1337)',
+                            '{!cache=false cost=150}(date:[1 TO 3})'
+                        ]);
+                        return true;
+                    })
+                    .reply(200, testResponse);
+
+                await dataSource.process({
+                    collection: 'article',
+                    filter,
+                    splitFilters: true,
+                    filterCache: false,
+                    filterCost: 150
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should use boolean options converted from strings in prepare', async () => {
+                const dsConfig = { collection: 'article', splitFilters: 'false', filterCache: 'false' };
+                const searchConfig = { collection: 'article', filterQuery: 'false' };
+                dataSource.prepare(dsConfig);
+                dataSource.prepare(searchConfig);
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body.fq === '{!cache=false}(authorId:1337 AND date:[1 TO 3})')
+                    .reply(200, testResponse)
+                    .post(
+                        solrIndexPath,
+                        (body) => body.q === 'foo AND (authorId:1337 AND date:[1 TO 3})' && !('fq' in body)
+                    )
+                    .reply(200, testResponse);
+
+                await dataSource.process({ ...dsConfig, filter });
+                await dataSource.process({ ...searchConfig, search: 'foo', filter });
+
+                assert.ok(scope.isDone());
+            });
+        });
+
+        it('should append additional query parameters', async () => {
+            const request = {
+                collection: 'awesome_index',
+                queryAddition: '_val_:"product(assetClassBoost,3)"\n_val_:"product(importance,50)"'
+            };
+
+            const scope = nock(solrUrl)
+                .post(
+                    '/solr/awesome_index/select',
+                    (body) => body?.q === '_val_:"product(assetClassBoost,3)" _val_:"product(importance,50)"'
+                )
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+    });
+
+    describe('full-text search', () => {
+        it('should add search term to query', async () => {
+            const request = {
+                collection: 'article',
+                search: 'fo(o)bar'
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body?.q === 'fo\\(o\\)bar')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should support additional filter(s)', async () => {
+            const request = {
+                collection: 'article',
+                search: 'foo bar',
+                filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]]
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body?.q === 'foo bar' && body.fq === '(authorId:1337)')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should ignore empty search terms', async () => {
+            const request = {
+                collection: 'article',
+                search: ' ',
+                filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]]
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body?.q === '*:*' && body.fq === '(authorId:1337)')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should search in fields', async () => {
+            const request = {
+                collection: 'article',
+                search: 'title:foo bar',
+                allowedSearchFields: 'title'
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body?.q === '(title:"foo bar")')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should fallback to fulltext search if field is not allowed', async () => {
+            const request = {
+                collection: 'article',
+                search: 'nonallowedfield:foobar',
+                allowedSearchFields: 'title'
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body?.q === 'nonallowedfield\\:foobar')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        describe('safe syntax', () => {
+            it('should regenerate phrases, occurrences, prefix and fuzzy terms', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.q === '"foo bar" +baz -e\\-mail pre* fuzy~1 fuzzy~2')
+                    .reply(200, testResponse);
+
+                await dataSource.process({
+                    collection: 'article',
+                    search: ' "foo bar"  +baz -e-mail pre* fuzy~1 fuzzy~',
+                    safeSolrSyntax: true
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should support field prefixes from allowed search fields', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body?.q === 'title:"foo bar" -author:baz')
+                    .reply(200, testResponse);
+
+                await dataSource.process({
+                    collection: 'article',
+                    search: 'title:"foo bar" -author:baz',
+                    allowedSearchFields: 'title,author',
+                    safeSolrSyntax: true
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            [
+                ['field not allowed', 'body:foo'],
+                ['leading wildcard', '*foo'],
+                ['inner wildcard', 'fo*o'],
+                ['single character wildcard', 'fo?'],
+                ['short prefix', 'f*'],
+                ['grouping', '(foo OR bar)'],
+                ['range', '[a TO z]'],
+                ['boost', 'foo^10'],
+                ['edit distance', 'foo~3'],
+                ['unbalanced quotes', '"foo bar'],
+                ['phrase proximity', '"foo bar"~2']
+            ].forEach(([name, search]) => {
+                it(`should reject ${name}`, async () => {
+                    await assert.rejects(
+                        dataSource.process({
+                            collection: 'article',
+                            search,
+                            allowedSearchFields: 'title',
+                            safeSolrSyntax: true
+                        }),
+                        RequestError
+                    );
+                });
+            });
+
+            it('should support custom maximum edit distance', async () => {
+                await assert.rejects(
+                    dataSource.process({
+                        collection: 'article',
+                        search: 'foo~2',
+                        safeSolrSyntax: true,
+                        maxEditDistance: 1
+                    }),
+                    { name: 'RequestError', message: 'Fuzzy search supports a maximum edit distance of 1: "foo~2"' }
+                );
+            });
+        });
+
+        describe('edismax', () => {
+            const edismax = {
+                qf: ['title^3', 'body'],
+                pf: 'title^5',
+                mm: '2<75%',
+                bq: ['premium:1^2', 'type:news'],
+                bf: 'recip(ms(NOW,date),3.16e-11,1,1)',
+                tie: 0.1
+            };
+
+            it('should move flat resource options into edismax parameters', () => {
+                const dsConfig = { collection: 'article', defType: 'edismax', qf: 'title^2 body', tie: '0.1' };
+                const enabledConfig = { collection: 'article', defType: 'edismax' };
+
+                dataSource.prepare(dsConfig);
+                dataSource.prepare(enabledConfig);
+
+                assert.deepEqual(dsConfig, { collection: 'article', edismax: { qf: 'title^2 body', tie: 0.1 } });
+                assert.deepEqual(enabledConfig, { collection: 'article', edismax: {} });
+            });
+
+            it('should parse search term with edismax', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.equal(body.q, '_query_:"{!edismax v=$userQuery}"');
+                        assert.equal(body.userQuery, 'foo bar');
+                        assert.equal(body.qf, 'title^3 body');
+                        assert.equal(body.pf, 'title^5');
+                        assert.equal(body.mm, '2<75%');
+                        assert.deepEqual(body.bq, ['premium:1^2', 'type:news']);
+                        assert.equal(body.bf, 'recip(ms(NOW,date),3.16e-11,1,1)');
+                        assert.equal(body.tie, '0.1');
+                        return true;
+                    })
+                    .reply(200, testResponse);
+
+                await dataSource.process({ collection: 'article', search: 'foo bar', edismax });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should not apply edismax to filters and query additions', async () => {
+                const scope = nock(solrUrl)
+                    .post(
+                        solrIndexPath,
+                        (body) =>
+                            body.q === '_query_:"{!edismax v=$userQuery}" AND (authorId:1337) AND _val_:"importance"' &&
+                            body.userQuery === 'foo'
+                    )
+                    .reply(200, testResponse);
+
+                await dataSource.process({
+                    collection: 'article',
+                    search: 'foo',
+                    filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]],
+                    filterQuery: false,
+                    queryAddition: '_val_:"importance"',
+                    edismax
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should not use edismax without search term', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body.q === '*:*' && !('qf' in body))
+                    .reply(200, testResponse);
+
+                await dataSource.process({ collection: 'article', edismax });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should throw an error for unsupported parameters', async () => {
+                await assert.rejects(
+                    () => dataSource.process({ collection: 'article', search: 'foo', edismax: { defType: 'lucene' } }),
+                    { name: 'ImplementationError', message: 'Unsupported edismax parameter "defType"' }
+                );
+            });
+        });
+
+        describe('spellcheck', () => {
+            it('should send spellcheck parameters', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.equal(body.spellcheck, 'true');
+                        assert.equal(body['spellcheck.q'], 'helo wrld');
+                        assert.equal(body['spellcheck.dictionary'], 'default');
+                        assert.equal(body['spellcheck.count'], '3');
+                        assert.equal(body['spellcheck.collate'], 'true');
+                        assert.equal(body['spellcheck.maxCollations'], '2');
+                        return true;
+                    })
+                    .reply(200, testResponse);
+
+                await dataSource.process({
+                    collection: 'article',
+                    search: 'helo wrld',
+                    spellcheck: { dictionary: 'default', count: 3, maxCollations: 2 }
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should only be enabled for search requests', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => !('spellcheck' in body))
+                    .reply(200, testResponse);
+
+                const response = await dataSource.process({ collection: 'article', spellcheck: {} });
+
+                assert.ok(scope.isDone());
+                assert.ok(!('spellcheck' in response));
+            });
+
+            it('should return suggestions and collations', async () => {
+                nock(solrUrl)
+                    .post(solrIndexPath)
+                    .reply(200, {
+                        response: { numFound: 0, docs: [] },
+                        spellcheck: {
+                            suggestions: [
+                                'helo',
+                                { numFound: 2, startOffset: 0, endOffset: 4, suggestion: ['hello', 'help'] },
+                                'wrld',
+                                { numFound: 1, startOffset: 5, endOffset: 9, suggestion: [{ word: 'world', freq: 3 }] }
+                            ],
+                            correctlySpelled: false,
+                            collations: [
+                                'collation',
+                                'hello world',
+                                'collation',
+                                { collationQuery: 'help world', hits: 2 }
+                            ]
+                        }
+                    });
+
+                const response = await dataSource.process({
+                    collection: 'article',
+                    search: 'helo wrld',
+                    spellcheck: {}
+                });
+
+                assert.deepEqual(response.spellcheck, {
+                    correctlySpelled: false,
+                    suggestions: [
+                        { term: 'helo', suggestions: ['hello', 'help'] },
+                        { term: 'wrld', suggestions: ['world'] }
+                    ],
+                    collations: ['hello world', 'help world']
+                });
+            });
+        });
+
+        describe('suggest', () => {
+            it('should query suggest handler', async () => {
+                const scope = nock(solrUrl)
+                    .post('/solr/article/suggest', (body) => {
+                        assert.equal(body.suggest, 'true');
+                        assert.equal(body['suggest.q'], 'fla');
+                        assert.equal(body['suggest.dictionary'], 'titleSuggester');
+                        assert.equal(body['suggest.count'], '5');
+                        return true;
+                    })
+                    .reply(200, {
+                        suggest: {
+                            titleSuggester: {
+                                fla: {
+                                    numFound: 2,
+                                    suggestions: [
+                                        { term: 'flash', weight: 10, payload: '' },
+                                        { term: 'flat', weight: 4, payload: '' }
+                                    ]
+                                }
+                            }
+                        }
+                    });
+
+                const response = await dataSource.suggest({
+                    collection: 'article',
+                    search: 'fla',
+                    dictionary: 'titleSuggester',
+                    count: 5
+                });
+
+                assert.ok(scope.isDone());
+                assert.deepEqual(response, {
+                    totalCount: 2,
+                    data: [
+                        { term: 'flash', weight: 10, payload: '' },
+                        { term: 'flat', weight: 4, payload: '' }
+                    ]
+                });
+            });
+
+            it('should support custom handler', async () => {
+                const scope = nock(solrUrl).post('/solr/article/autocomplete').reply(200, '{"suggest":{}}');
+
+                const response = await dataSource.suggest({
+                    collection: 'article',
+                    search: 'fla',
+                    handler: 'autocomplete'
+                });
+
+                assert.ok(scope.isDone());
+                assert.deepEqual(response, { totalCount: 0, data: [] });
+            });
+        });
+
+        describe('reserved keywords', () => {
+            ['AND', 'NOT', 'OR'].forEach((keyword) => {
+                it(`should lowercase "${keyword}" keyword`, async () => {
+                    const request = { collection: 'article', search: keyword };
+
+                    const scope = nock(solrUrl)
+                        .post(solrIndexPath, (body) => body?.q === `${keyword.toLowerCase()}`)
+                        .reply(200, testResponse);
+
+                    await dataSource.process(request);
+
+                    assert.ok(scope.isDone());
+                });
+            });
+        });
+    });
+
+    describe('composite key batches', () => {
+        const filter = [
+            [
+                { attribute: 'type', operator: 'equal', value: 'news' },
+                {
+                    attribute: ['authorId', 'articleId'],
+                    operator: 'equal',
+                    value: [
+                        [1, 1],
+                        [1, 2],
+                        [2, 1]
+                    ]
+                }
+            ]
+        ];
+
+        it('should split oversized composite key filters into parallel requests', async () => {
+            const scope = nock(solrUrl)
+                .post(
+                    solrIndexPath,
+                    (body) =>
+                        body?.fq === '(type:news AND ((authorId:1 AND articleId:1) OR (authorId:1 AND articleId:2)))'
+                )
+                .reply(200, {
+                    response: {
+                        numFound: 2,
+                        docs: [
+                            { id: 1, date: '2024-01-03' },
+                            { id: 2, date: '2024-01-01' }
+                        ]
+                    }
+                })
+                .post(solrIndexPath, (body) => body?.fq === '(type:news AND ((authorId:2 AND articleId:1)))')
+                .reply(200, { response: { numFound: 1, docs: [{ id: 3, date: '2024-01-02' }] } });
+
+            const result = await dataSource.process({
+                collection: 'article',
+                filter,
+                order: [{ attribute: 'date', direction: 'desc' }],
+                limit: 2,
+                compositeKeyBatchSize: 2
+            });
+
+            assert.ok(scope.isDone());
+            assert.deepEqual(result, {
+                totalCount: 3,
+                data: [
+                    { id: 1, date: '2024-01-03' },
+                    { id: 3, date: '2024-01-02' }
+                ]
+            });
+        });
+
+        it('should not split filters with multiple OR groups', async () => {
+            const scope = nock(solrUrl).post(solrIndexPath).reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'article',
+                filter: [...filter, [{ attribute: 'id', operator: 'equal', value: 1 }]],
+                compositeKeyBatchSize: 2
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should reject pagination', async () => {
+            await assert.rejects(
+                dataSource.process({ collection: 'article', filter, page: 2, compositeKeyBatchSize: 2 }),
+                {
+                    name: 'ImplementationError',
+                    message: 'Oversized composite key filters can\'t be combined with "page"'
+                }
+            );
+        });
+    });
+
+    describe('facets', () => {
+        it('should activate faceting', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.facet === 'true' && body['facet.field'] === 'category')
+                .reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article', facets: { fields: ['category'] } });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should send field facet options as per-field parameters', async () => {
+            const scope = nock(solrUrl)
+                .post(
+                    solrIndexPath,
+                    (body) =>
+                        Array.isArray(body['facet.field']) &&
+                        body['facet.field'].join() === 'category,authorId' &&
+                        body['f.category.facet.limit'] === '10' &&
+                        body['f.category.facet.mincount'] === '1' &&
+                        body['f.category.facet.sort'] === 'index' &&
+                        !('f.authorId.facet.limit' in body)
+                )
+                .reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'article',
+                facets: { fields: [{ field: 'category', limit: 10, mincount: 1, sort: 'index' }, 'authorId'] }
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should send range facets', async () => {
+            const scope = nock(solrUrl)
+                .post(
+                    solrIndexPath,
+                    (body) =>
+                        body['facet.range'] === 'price' &&
+                        body['f.price.facet.range.start'] === '0' &&
+                        body['f.price.facet.range.end'] === '100' &&
+                        body['f.price.facet.range.gap'] === '50'
+                )
+                .reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'article',
+                facets: { ranges: [{ field: 'price', start: 0, end: 100, gap: 50 }] }
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should require start, end and gap for range facets', async () => {
+            await assert.rejects(
+                () => dataSource.process({ collection: 'article', facets: { ranges: [{ field: 'price', start: 0 }] } }),
+                { name: 'ImplementationError' }
+            );
+        });
+
+        it('should send query facets', async () => {
+            const scope = nock(solrUrl)
+                .post(
+                    solrIndexPath,
+                    (body) =>
+                        Array.isArray(body['facet.query']) &&
+                        body['facet.query'][0] === '{!key=cheap}price:[* TO 10]' &&
+                        body['facet.query'][1] === '{!key=premium}(premium:1)'
+                )
+                .reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'article',
+                facets: {
+                    queries: [
+                        { key: 'cheap', query: 'price:[* TO 10]' },
+                        { key: 'premium', filter: [[{ attribute: 'premium', operator: 'equal', value: true }]] }
+                    ]
+                }
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should return normalized facet counts', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(200, {
+                    response: { numFound: 0, docs: [] },
+                    facet_counts: {
+                        facet_queries: { cheap: 12 },
+                        facet_fields: { category: ['news', 10, 'sports', 5] },
+                        facet_ranges: { price: { counts: ['0', 3, '50', 9], start: 0, end: 100, gap: 50 } }
+                    }
+                });
+
+            const response = await dataSource.process({
+                collection: 'article',
+                facets: {
+                    fields: ['category'],
+                    ranges: [{ field: 'price', start: 0, end: 100, gap: 50 }],
+                    queries: [{ key: 'cheap', query: 'price:[* TO 10]' }]
+                }
+            });
+
+            assert.deepEqual(response.facets, {
+                fields: {
+                    category: [
+                        { value: 'news', count: 10 },
+                        { value: 'sports', count: 5 }
+                    ]
+                },
+                ranges: {
+                    price: [
+                        { value: '0', count: 3 },
+                        { value: '50', count: 9 }
+                    ]
+                },
+                queries: { cheap: 12 }
+            });
+        });
+    });
+
+    describe('aggregations', () => {
+        const aggregations = {
+            categories: {
+                type: 'terms',
+                field: 'category',
+                limit: 5,
+                aggregations: {
+                    revenue: { type: 'sum', field: 'price' },
+                    authors: { type: 'unique', field: 'authorId' }
+                }
+            },
+            premium: {
+                type: 'query',
+                filter: [[{ attribute: 'premium', operator: 'equal', value: true }]],
+                aggregations: { avgPrice: { type: 'avg', field: 'price' } }
+            },
+            priceP95: { type: 'percentile', field: 'price', percentiles: [95] }
+        };
+
+        it('should send aggregations as "json.facet" parameter', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => {
+                    assert.deepEqual(JSON.parse(body['json.facet']), {
+                        categories: {
+                            type: 'terms',
+                            field: 'category',
+                            limit: 5,
+                            facet: { revenue: 'sum(price)', authors: 'unique(authorId)' }
+                        },
+                        premium: {
+                            type: 'query',
+                            q: '*:*',
+                            domain: { filter: '(premium:1)' },
+                            facet: { avgPrice: 'avg(price)' }
+                        },
+                        priceP95: 'percentile(price,95)'
+                    });
+                    return true;
+                })
+                .reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article', aggregations });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should apply filters to domain', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.fq === '(authorId:1337)' && 'json.facet' in body)
+                .reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'article',
+                filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]],
+                aggregations
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should throw an error for unknown aggregation types', async () => {
+            await assert.rejects(
+                () => dataSource.process({ collection: 'article', aggregations: { foo: { type: 'bar' } } }),
+                { name: 'ImplementationError', message: 'Aggregation "foo" has unknown type "bar"' }
+            );
+        });
+
+        it('should return normalized aggregations', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(200, {
+                    response: { numFound: 42, docs: [] },
+                    facets: {
+                        count: 42,
+                        categories: {
+                            buckets: [
+                                { val: 'news', count: 30, revenue: 120.5, authors: 4 },
+                                { val: 'sports', count: 12, revenue: 20, authors: 2 }
+                            ]
+                        },
+                        premium: { count: 7, avgPrice: 9.5 },
+                        priceP95: 99
+                    }
+                });
+
+            const response = await dataSource.process({ collection: 'article', aggregations });
+
+            assert.deepEqual(response.aggregations, {
+                count: 42,
+                categories: [
+                    { value: 'news', count: 30, revenue: 120.5, authors: 4 },
+                    { value: 'sports', count: 12, revenue: 20, authors: 2 }
+                ],
+                premium: { count: 7, avgPrice: 9.5 },
+                priceP95: 99
+            });
+        });
+
+        it('should normalize empty aggregation results', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(200, { response: { numFound: 0, docs: [] }, facets: { count: 0 } });
+
+            const response = await dataSource.process({ collection: 'article', aggregations });
+
+            assert.deepEqual(response.aggregations, {
+                count: 0,
+                categories: [],
+                premium: { count: 0, avgPrice: null },
+                priceP95: null
+            });
+        });
+    });
+
+    describe('highlighting', () => {
+        it('should send highlighting parameters', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => {
+                    assert.equal(body.hl, 'true');
+                    assert.equal(body['hl.fl'], 'title,body');
+                    assert.equal(body['hl.method'], 'unified');
+                    assert.equal(body['hl.fragsize'], '80');
+                    assert.equal(body['hl.snippets'], '2');
+                    assert.equal(body['hl.tag.pre'], '<mark>');
+                    assert.equal(body['hl.tag.post'], '</mark>');
+                    assert.equal(body['hl.q'], 'foo');
+                    return true;
+                })
+                .reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'article',
+                search: 'foo',
+                filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]],
+                highlight: {
+                    fields: ['title', 'body'],
+                    fragmentSize: 80,
+                    snippets: 2,
+                    pre: '<mark>',
+                    post: '</mark>',
+                    method: 'unified'
+                }
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should request unique key for merging snippets', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.fl === 'title,id')
+                .reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'article',
+                attributes: ['title'],
+                highlight: { fields: ['title'] }
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should remove unique key from documents if not requested', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(200, {
+                    response: { numFound: 1, docs: [{ id: 1, title: 'foo bar' }] },
+                    highlighting: { 1: { title: ['<em>foo</em> bar'] } }
+                });
+
+            const response = await dataSource.process({
+                collection: 'article',
+                search: 'foo',
+                attributes: ['title'],
+                highlight: { fields: ['title'] }
+            });
+
+            assert.deepEqual(response.data, [{ title: 'foo bar', highlighting: { title: ['<em>foo</em> bar'] } }]);
+        });
+
+        it('should throw an error for unsupported highlighting methods', async () => {
+            await assert.rejects(
+                () =>
+                    dataSource.process({
+                        collection: 'article',
+                        highlight: { fields: ['title'], method: 'fastVector' }
+                    }),
+                { name: 'ImplementationError' }
+            );
+        });
+
+        it('should merge highlighted snippets into documents', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(200, {
+                    response: { numFound: 2, docs: [{ id: 1 }, { id: 2 }] },
+                    highlighting: { 1: { title: ['<em>foo</em> bar'] }, 2: {} }
+                });
+
+            const response = await dataSource.process({
+                collection: 'article',
+                search: 'foo',
+                highlight: { fields: ['title'] }
+            });
+
+            assert.deepEqual(response.data, [
+                { id: 1, highlighting: { title: ['<em>foo</em> bar'] } },
+                { id: 2, highlighting: {} }
+            ]);
+        });
+
+        it('should support custom key and unique key attribute', async () => {
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(200, {
+                    response: { numFound: 1, docs: [{ articleId: 'a1' }] },
+                    highlighting: { a1: { title: ['<em>foo</em>'] } }
+                });
+
+            const response = await dataSource.process({
+                collection: 'article',
+                search: 'foo',
+                highlight: { fields: ['title'], idAttribute: 'articleId', key: '_snippets' }
+            });
+
+            assert.deepEqual(response.data, [{ articleId: 'a1', _snippets: { title: ['<em>foo</em>'] } }]);
+        });
+    });
+
+    describe('order', () => {
+        it('single criterion', async () => {
+            const request = {
+                collection: 'article',
+                order: [{ attribute: 'foo', direction: 'asc' }]
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, ({ sort }) => sort === 'foo asc')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+
+        it('multiple criteria', async () => {
+            const request = {
+                collection: 'article',
+                order: [
+                    { attribute: 'foo', direction: 'asc' },
+                    { attribute: 'bar', direction: 'desc' }
+                ]
+            };
+
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, ({ sort }) => sort === 'foo asc,bar desc')
+                .reply(200, testResponse);
+
+            await dataSource.process(request);
+
+            assert.ok(scope.isDone());
+        });
+    });
+
+    describe('distance', () => {
+        const filter = [[{ attribute: 'location', operator: 'geofilt', value: [52.52, 13.405, 10] }]];
+
+        it('should return distance as attribute and order by it', async () => {
+            const scope = nock(solrUrl)
+                .post('/solr/store/select', (body) => {
+                    assert.equal(body.sfield, 'location');
+                    assert.equal(body.pt, '52.52,13.405');
+                    assert.equal(body.fl, 'id,dist:geodist()');
+                    assert.equal(body.sort, 'geodist() asc,name desc');
+                    return true;
+                })
+                .reply(200, { response: { numFound: 1, docs: [{ id: 1, dist: 1.234 }] } });
+
+            const result = await dataSource.process({
+                collection: 'store',
+                attributes: ['id', 'dist'],
+                order: [
+                    { attribute: 'dist', direction: 'asc' },
+                    { attribute: 'name', direction: 'desc' }
+                ],
+                filter,
+                distance: { field: 'location', attribute: 'dist' }
+            });
+
+            assert.ok(scope.isDone());
+            assert.deepEqual(result.data, [{ id: 1, dist: 1.234 }]);
+        });
+
+        it('should accept flat distance resource options', () => {
+            const dsConfig = { collection: 'store', distanceField: 'location', distanceAttribute: 'dist' };
+
+            dataSource.prepare(dsConfig);
+
+            assert.deepEqual(dsConfig, { collection: 'store', distance: { field: 'location', attribute: 'dist' } });
+        });
+
+        it('should not add spatial params if distance is not requested', async () => {
+            const scope = nock(solrUrl)
+                .post('/solr/store/select', (body) => !('sfield' in body) && !('pt' in body) && body.fl === 'id')
+                .reply(200, testResponse);
+
+            await dataSource.process({
+                collection: 'store',
+                attributes: ['id'],
+                filter,
+                distance: { field: 'location' }
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should require a spatial filter', async () => {
+            await assert.rejects(
+                dataSource.process({
+                    collection: 'store',
+                    attributes: ['id', 'distance'],
+                    distance: { field: 'location' }
+                }),
+                {
+                    name: 'RequestError',
+                    message: 'Attribute "distance" requires a "geofilt" or "bbox" filter on "location"'
+                }
+            );
+        });
+    });
+
+    describe('pagination', () => {
+        it('should set limit', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, /rows=15/)
+                .reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article', limit: 15 });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should overwrite SOLR default limit for sub-resource processing', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.rows && body.rows === '1000000')
+                .reply(200, testResponse);
+
+            // no explicit limit set
+            await dataSource.process({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should set page', async () => {
+            const scope = nock(solrUrl)
+                // only return sorted pagination params because they can appear in any order
+                .filteringRequestBody((body) => {
+                    const params = require('querystring').parse(body);
+                    const paginationParams = [];
+
+                    ['rows', 'start'].forEach((key) => {
+                        // extract pagination params
+                        if (params[key]) {
+                            paginationParams.push(key + '=' + params[key]);
+                        }
+                    });
+
+                    return paginationParams.sort().join('&');
+                })
+                .post(solrIndexPath, /rows=10&start=20/)
+                .reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article', limit: 10, page: 3 });
+
+            assert.ok(scope.isDone());
+        });
+    });
+
+    describe('cursor paging', () => {
+        const docs = (...ids) => ids.map((id) => ({ id }));
+
+        it('should fetch unlimited results in batches', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.cursorMark === '*' && body.rows === '2' && body.sort === 'id asc')
+                .reply(200, { response: { numFound: 5, docs: docs(1, 2) }, nextCursorMark: 'AoE1' })
+                .post(solrIndexPath, (body) => body.cursorMark === 'AoE1')
+                .reply(200, { response: { numFound: 5, docs: docs(3, 4) }, nextCursorMark: 'AoE2' })
+                .post(solrIndexPath, (body) => body.cursorMark === 'AoE2')
+                .reply(200, { response: { numFound: 5, docs: docs(5) }, nextCursorMark: 'AoE3' });
+
+            const response = await dataSource.process({
+                collection: 'article',
+                cursorPaging: true,
+                cursorBatchSize: 2
+            });
+
+            assert.deepEqual(response, { totalCount: 5, data: docs(1, 2, 3, 4, 5) });
+            assert.ok(scope.isDone());
+        });
+
+        it('should stop if cursor mark does not change', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.cursorMark === '*')
+                .reply(200, { response: { numFound: 3, docs: docs(1, 2) }, nextCursorMark: 'AoE1' })
+                .post(solrIndexPath, (body) => body.cursorMark === 'AoE1')
+                .reply(200, { response: { numFound: 3, docs: [] }, nextCursorMark: 'AoE1' });
+
+            const response = await dataSource.process({
+                collection: 'article',
+                cursorPaging: true,
+                cursorBatchSize: 2
+            });
+
+            assert.deepEqual(response.data, docs(1, 2));
+            assert.ok(scope.isDone());
+        });
+
+        it('should add unique key as tiebreaker to sort order', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.sort === 'date desc,articleId asc')
+                .reply(200, { response: { numFound: 0, docs: [] }, nextCursorMark: '*' });
+
+            await dataSource.process({
+                collection: 'article',
+                cursorPaging: true,
+                uniqueKey: 'articleId',
+                order: [{ attribute: 'date', direction: 'desc' }]
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should use default batch size', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => body.rows === '1000' && body.sort === 'id desc')
+                .reply(200, { response: { numFound: 0, docs: [] }, nextCursorMark: '*' });
+
+            await dataSource.process({
+                collection: 'article',
+                cursorPaging: true,
+                order: [{ attribute: 'id', direction: 'desc' }]
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should not use cursor if limit is set', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => !('cursorMark' in body) && body.rows === '10')
+                .reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article', cursorPaging: true, limit: 10 });
+
+            assert.ok(scope.isDone());
+        });
+    });
+
+    describe('streaming', () => {
+        const exportPath = '/solr/article/export';
+        const collect = async (iterator) => {
+            const docs = [];
+            for await (const doc of iterator) docs.push(doc);
+            return docs;
+        };
+
+        it('should use "/export" handler', async () => {
+            const scope = nock(solrUrl)
+                .post(exportPath, (body) => {
+                    assert.equal(body.fl, 'id,name');
+                    assert.equal(body.sort, 'name asc');
+                    assert.equal(body.fq, '(authorId:1337)');
+                    return true;
+                })
+                .reply(200, testResponse);
+
+            await collect(
+                dataSource.stream({
+                    collection: 'article',
+                    attributes: ['id', 'name'],
+                    filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]],
+                    order: [{ attribute: 'name', direction: 'asc' }]
+                })
+            );
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should map attributes to Solr fields', async () => {
+            const dsConfig = { collection: 'article', fields: 'id:int, title=title_t, tags=tags_ss[]' };
+            dataSource.prepare(dsConfig);
+
+            const scope = nock(solrUrl)
+                .post(exportPath, (body) => {
+                    assert.equal(body.fl, 'id,title_t,tags_ss');
+                    assert.equal(body.sort, 'title_t asc');
+                    assert.equal(body.fq, '(title_t:foo)');
+                    return true;
+                })
+                .reply(200, {
+                    responseHeader: { status: 0 },
+                    response: { numFound: 1, docs: [{ id: '1', title_t: 'foo', tags_ss: 'news' }] }
+                });
+
+            const docs = await collect(
+                dataSource.stream({
+                    ...dsConfig,
+                    attributes: ['id', 'title', 'tags'],
+                    filter: [[{ attribute: 'title', operator: 'equal', value: 'foo' }]],
+                    order: [{ attribute: 'title', direction: 'asc' }]
+                })
+            );
+
+            assert.ok(scope.isDone());
+            assert.deepEqual(docs, [{ id: 1, title: 'foo', tags: ['news'] }]);
+        });
+
+        it('should sort by unique key by default', async () => {
+            const scope = nock(solrUrl)
+                .post(exportPath, (body) => body.sort === 'id asc')
+                .reply(200, testResponse);
+
+            await collect(dataSource.stream({ collection: 'article', attributes: ['id'] }));
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should require attributes', async () => {
+            await assert.rejects(() => collect(dataSource.stream({ collection: 'article' })), {
+                name: 'ImplementationError'
+            });
+        });
+
+        it('should parse documents incrementally', async () => {
+            const body =
+                '{"responseHeader":{"status":0},"response":{"numFound":3,"docs":[' +
+                '{"id":1,"name":"foo } bar"},{"id":2,"name":"quote \\" {"},{"id":3,"tags":[{"a":1}]}]}}';
+            // split response in small chunks to test parsing across chunk boundaries
+            const chunks = body.match(/.{1,7}/g);
+
+            nock(solrUrl)
+                .post(exportPath)
+                .reply(200, () => Readable.from(chunks));
+
+            const docs = await collect(dataSource.stream({ collection: 'article', attributes: ['id', 'name'] }));
+
+            assert.deepEqual(docs, [
+                { id: 1, name: 'foo } bar' },
+                { id: 2, name: 'quote " {' },
+                { id: 3, tags: [{ a: 1 }] }
+            ]);
+        });
+
+        it('should stop reading when iteration is aborted', async () => {
+            nock(solrUrl)
+                .post(exportPath)
+                .reply(200, '{"response":{"numFound":3,"docs":[{"id":1},{"id":2},{"id":3}]}}');
+
+            const docs = [];
+            for await (const doc of dataSource.stream({ collection: 'article', attributes: ['id'] })) {
+                docs.push(doc);
+                if (docs.length === 2) break;
+            }
+
+            assert.deepEqual(docs, [{ id: 1 }, { id: 2 }]);
+        });
+
+        it('should throw export errors', async () => {
+            nock(solrUrl)
+                .post(exportPath)
+                .reply(
+                    200,
+                    '{"response":{"numFound":1,"docs":[{"EXCEPTION":"field must have docValues","EOF":true}]}}'
+                );
+
+            await assert.rejects(() => collect(dataSource.stream({ collection: 'article', attributes: ['id'] })), {
+                message: 'Solr export error: field must have docValues'
+            });
+        });
+
+        it('should throw an error for incomplete responses', async () => {
+            nock(solrUrl).post(exportPath).reply(200, '{"response":{"numFound":1,"docs":[{"id":1');
+
+            await assert.rejects(() => collect(dataSource.stream({ collection: 'article', attributes: ['id'] })), {
+                message: 'Solr export error: incomplete response'
+            });
+        });
+    });
+
+    describe('write support', () => {
+        const updatePath = '/solr/article/update';
+
+        it('should add documents', async () => {
+            const scope = nock(solrUrl)
+                .matchHeader('content-type', 'application/json')
+                .post(updatePath, [
+                    { id: 1, title: 'foo' },
+                    { id: 2, title: 'bar' }
+                ])
+                .query({ wt: 'json', commitWithin: '1000', overwrite: 'false' })
+                .reply(200, '{"responseHeader":{"status":0}}');
+
+            await dataSource.add({
+                collection: 'article',
+                documents: [
+                    { id: 1, title: 'foo' },
+                    { id: 2, title: 'bar' }
+                ],
+                commitWithin: 1000,
+                overwrite: false
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should apply atomic updates', async () => {
+            const scope = nock(solrUrl)
+                .post(updatePath, [
+                    { id: 1, title: { set: 'foo' }, views: { inc: 1 }, tags: { add: ['a'], remove: ['b'] } }
+                ])
+                .query({ wt: 'json' })
+                .reply(200, '{"responseHeader":{"status":0}}');
+
+            await dataSource.update({
+                collection: 'article',
+                documents: [
+                    { id: 1, set: { title: 'foo' }, inc: { views: 1 }, add: { tags: ['a'] }, remove: { tags: ['b'] } }
+                ]
+            });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should reject unsupported atomic update modifiers', async () => {
+            await assert.rejects(
+                () =>
+                    dataSource.update({ collection: 'article', documents: [{ id: 1, removeregex: { title: '.*' } }] }),
+                { name: 'ImplementationError', message: 'Unsupported atomic update modifier "removeregex"' }
+            );
+        });
+
+        it('should require unique key for atomic updates', async () => {
+            await assert.rejects(
+                () => dataSource.update({ collection: 'article', documents: [{ set: { title: 'foo' } }] }),
+                { name: 'ImplementationError', message: 'Atomic update requires unique key "id"' }
+            );
+        });
+
+        it('should not retry atomic updates', async () => {
+            const ds = new FloraSolr(api, {
+                servers: {
+                    default: { urls: ['http://solr1.example.com/solr/', 'http://solr2.example.com/solr/'], retries: 1 }
+                }
+            });
+            nock('http://solr1.example.com').post(updatePath).query(true).reply(503, '{}');
+            const scope = nock('http://solr2.example.com').post(updatePath).query(true).reply(200, '{}');
+
+            await assert.rejects(() => ds.update({ collection: 'article', documents: [{ id: 1, inc: { views: 1 } }] }));
+            assert.ok(!scope.isDone());
+        });
+
+        it('should delete documents by id', async () => {
+            const scope = nock(solrUrl)
+                .post(updatePath, { delete: [1, 2] })
+                .query({ wt: 'json', commit: 'true' })
+                .reply(200, '{"responseHeader":{"status":0}}');
+
+            await dataSource.delete({ collection: 'article', ids: [1, 2], commit: true });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should delete documents by filter', async () => {
+            const scope = nock(solrUrl)
+                .post(updatePath, { delete: { query: '(authorId:1337 AND status:\\-1)' } })
+                .query(true)
+                .reply(200, '{"responseHeader":{"status":0}}');
+
+            await dataSource.delete({
+                collection: 'article',
+                filter: [
+                    [
+                        { attribute: 'authorId', operator: 'equal', value: 1337 },
+                        { attribute: 'status', operator: 'equal', value: '-1' }
+                    ]
+                ]
+            });
+
+            assert.ok(scope.isDone());
+        });
 
-                assert.ok(scope.isDone());
+        it('should require ids or filter for deletion', async () => {
+            await assert.rejects(() => dataSource.delete({ collection: 'article' }), {
+                name: 'ImplementationError'
             });
         });
 
-        it('should append additional query parameters', async () => {
-            const request = {
-                collection: 'awesome_index',
-                queryAddition: '_val_:"product(assetClassBoost,3)"\n_val_:"product(importance,50)"'
-            };
+        it('should commit', async () => {
+            const scope = nock(solrUrl)
+                .post(updatePath)
+                .query({ wt: 'json', commit: 'true' })
+                .reply(200, '{"responseHeader":{"status":0}}');
 
+            await dataSource.commit({ collection: 'article' });
+
+            assert.ok(scope.isDone());
+        });
+
+        it('should soft commit', async () => {
             const scope = nock(solrUrl)
-                .post(
-                    '/solr/awesome_index/select',
-                    (body) => body?.q === '_val_:"product(assetClassBoost,3)" _val_:"product(importance,50)"'
-                )
-                .reply(200, testResponse);
+                .post(updatePath)
+                .query({ wt: 'json', softCommit: 'true' })
+                .reply(200, '{"responseHeader":{"status":0}}');
 
-            await dataSource.process(request);
+            await dataSource.commit({ collection: 'article', softCommit: true });
 
             assert.ok(scope.isDone());
         });
     });
 
-    describe('full-text search', () => {
-        it('should add search term to query', async () => {
-            const request = {
-                collection: 'article',
-                search: 'fo(o)bar'
-            };
+    describe('result cache', () => {
+        const createDataSource = (cache, status) =>
+            new FloraSolr(api, {
+                servers: { default: { urls: ['http://example.com/solr/'] } },
+                cache,
+                _status: status
+            });
+        const solrResponse = { response: { numFound: 1, docs: [{ id: 1 }] } };
 
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === 'fo\\(o\\)bar')
-                .reply(200, testResponse);
+        it('should not cache results by default', async () => {
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).reply(200, solrResponse);
 
-            await dataSource.process(request);
+            await dataSource.process({ collection: 'article' });
+            await dataSource.process({ collection: 'article' });
 
             assert.ok(scope.isDone());
         });
 
-        it('should support additional filter(s)', async () => {
-            const request = {
-                collection: 'article',
-                search: 'foo bar',
-                filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]]
-            };
+        it('should cache results of identical queries', async () => {
+            const ds = createDataSource({ ttl: 60000 });
+            const scope = nock(solrUrl).post(solrIndexPath).once().reply(200, solrResponse);
+
+            const result1 = await ds.process({ collection: 'article', limit: 1 });
+            const result2 = await ds.process({ collection: 'article', limit: 1 });
+
+            assert.ok(scope.isDone());
+            assert.deepEqual(result2, result1);
+            assert.notEqual(result2.data[0], result1.data[0]);
+        });
+
+        it('should not share cached results between different queries', async () => {
+            const ds = createDataSource({ ttl: 60000 });
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).reply(200, solrResponse);
+
+            await ds.process({ collection: 'article', limit: 1 });
+            await ds.process({ collection: 'article', limit: 2 });
+
+            assert.ok(scope.isDone());
+        });
 
+        it('should not share cached results between cursor and limited queries', async () => {
+            const ds = createDataSource({ ttl: 60000 });
+            const order = [{ attribute: 'id', direction: 'asc' }];
             const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === 'foo bar AND (authorId:1337)')
-                .reply(200, testResponse);
+                .post(solrIndexPath, (body) => !('cursorMark' in body))
+                .reply(200, { response: { numFound: 3, docs: [{ id: 1 }, { id: 2 }] } })
+                .post(solrIndexPath, (body) => body.cursorMark === '*')
+                .reply(200, { response: { numFound: 2, docs: [{ id: 1 }, { id: 2 }] }, nextCursorMark: '*' });
 
-            await dataSource.process(request);
+            const limited = await ds.process({ collection: 'article', limit: 2, order });
+            const cursor = await ds.process({ collection: 'article', cursorPaging: true, cursorBatchSize: 2, order });
 
             assert.ok(scope.isDone());
+            assert.equal(limited.totalCount, 3);
+            assert.equal(cursor.totalCount, 2);
         });
 
-        it('should ignore empty search terms', async () => {
-            const request = {
-                collection: 'article',
-                search: ' ',
-                filter: [[{ attribute: 'authorId', operator: 'equal', value: 1337 }]]
-            };
+        it('should not depend on parameter order', async () => {
+            const ds = createDataSource({ ttl: 60000 });
+            const scope = nock(solrUrl).post(solrIndexPath).once().reply(200, solrResponse);
 
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === '(authorId:1337)')
-                .reply(200, testResponse);
+            await ds.process({ collection: 'article', search: 'foo', edismax: { qf: 'title', mm: '1' } });
+            await ds.process({ collection: 'article', search: 'foo', edismax: { mm: '1', qf: 'title' } });
 
-            await dataSource.process(request);
+            assert.ok(scope.isDone());
+        });
+
+        it('should support TTL per resource', async () => {
+            const scope = nock(solrUrl).post(solrIndexPath).once().reply(200, solrResponse);
+
+            await dataSource.process({ collection: 'article', cacheTtl: 60000 });
+            await dataSource.process({ collection: 'article', cacheTtl: 60000 });
 
             assert.ok(scope.isDone());
         });
 
-        it('should search in fields', async () => {
-            const request = {
-                collection: 'article',
-                search: 'title:foo bar',
-                allowedSearchFields: 'title'
-            };
+        it('should expire cached results', async () => {
+            const ds = createDataSource({ ttl: 10 });
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).reply(200, solrResponse);
 
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === '(title:"foo bar")')
-                .reply(200, testResponse);
+            await ds.process({ collection: 'article' });
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            await ds.process({ collection: 'article' });
 
-            await dataSource.process(request);
+            assert.ok(scope.isDone());
+        });
+
+        it('should evict least recently used results', async () => {
+            const ds = createDataSource({ ttl: 60000, maxEntries: 2 });
+            const scope = nock(solrUrl).post(solrIndexPath).times(4).reply(200, solrResponse);
+
+            await ds.process({ collection: 'article', limit: 1 });
+            await ds.process({ collection: 'article', limit: 2 });
+            await ds.process({ collection: 'article', limit: 1 }); // cached
+            await ds.process({ collection: 'article', limit: 3 }); // evicts limit 2
+            await ds.process({ collection: 'article', limit: 1 }); // cached
+            await ds.process({ collection: 'article', limit: 2 });
 
             assert.ok(scope.isDone());
         });
 
-        it('should fallback to fulltext search if field is not allowed', async () => {
-            const request = {
-                collection: 'article',
-                search: 'nonallowedfield:foobar',
-                allowedSearchFields: 'title'
-            };
+        it('should bypass cache per request', async () => {
+            const ds = createDataSource({ ttl: 60000 });
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).reply(200, solrResponse);
 
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body?.q === 'nonallowedfield\\:foobar')
-                .reply(200, testResponse);
+            await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article', skipCache: true });
 
-            await dataSource.process(request);
+            assert.ok(scope.isDone());
+        });
+
+        it('should invalidate cached results by collection', async () => {
+            const ds = createDataSource({ ttl: 60000 });
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).reply(200, solrResponse);
+
+            await ds.process({ collection: 'article' });
+            ds.invalidateCache('article');
+            await ds.process({ collection: 'article' });
 
             assert.ok(scope.isDone());
         });
 
-        describe('reserved keywords', () => {
-            ['AND', 'NOT', 'OR'].forEach((keyword) => {
-                it(`should lowercase "${keyword}" keyword`, async () => {
-                    const request = { collection: 'article', search: keyword };
+        it('should invalidate cached results on updates', async () => {
+            const ds = createDataSource({ ttl: 60000 });
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).reply(200, solrResponse);
+            nock(solrUrl).post('/solr/article/update').query(true).reply(200, '{}');
 
-                    const scope = nock(solrUrl)
-                        .post(solrIndexPath, (body) => body?.q === `${keyword.toLowerCase()}`)
-                        .reply(200, testResponse);
+            await ds.process({ collection: 'article' });
+            await ds.commit({ collection: 'article' });
+            await ds.process({ collection: 'article' });
 
-                    await dataSource.process(request);
+            assert.ok(scope.isDone());
+        });
 
-                    assert.ok(scope.isDone());
-                });
-            });
+        it('should count cache hits and misses', async () => {
+            const counters = {};
+            const status = { increment: (key) => (counters[key] = (counters[key] || 0) + 1), set: () => {} };
+            const ds = createDataSource({ ttl: 60000 }, status);
+            nock(solrUrl).post(solrIndexPath).reply(200, solrResponse);
+
+            await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
+            await ds.process({ collection: 'article' });
+
+            assert.deepEqual(counters, { cacheMisses: 1, dataSourceQueries: 1, cacheHits: 2 });
         });
     });
 
-    describe('order', () => {
-        it('single criterion', async () => {
-            const request = {
-                collection: 'article',
-                order: [{ attribute: 'foo', direction: 'asc' }]
-            };
+    describe('request coalescing', () => {
+        const solrResponse = { response: { numFound: 1, docs: [{ id: 1 }] } };
 
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, ({ sort }) => sort === 'foo asc')
-                .reply(200, testResponse);
+        it('should share a single request between identical concurrent queries', async () => {
+            const scope = nock(solrUrl).post(solrIndexPath).once().delay(10).reply(200, solrResponse);
 
-            await dataSource.process(request);
+            const [result1, result2] = await Promise.all([
+                dataSource.process({ collection: 'article' }),
+                dataSource.process({ collection: 'article' })
+            ]);
 
             assert.ok(scope.isDone());
+            assert.deepEqual(result1, { totalCount: 1, data: [{ id: 1 }] });
+            assert.deepEqual(result2, result1);
+            assert.notEqual(result2.data, result1.data);
         });
 
-        it('multiple criteria', async () => {
-            const request = {
-                collection: 'article',
-                order: [
-                    { attribute: 'foo', direction: 'asc' },
-                    { attribute: 'bar', direction: 'desc' }
-                ]
-            };
-
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, ({ sort }) => sort === 'foo asc,bar desc')
-                .reply(200, testResponse);
+        it('should not share requests between different queries', async () => {
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).delay(10).reply(200, solrResponse);
 
-            await dataSource.process(request);
+            await Promise.all([
+                dataSource.process({ collection: 'article', limit: 1 }),
+                dataSource.process({ collection: 'article', limit: 2 })
+            ]);
 
             assert.ok(scope.isDone());
         });
-    });
 
-    describe('pagination', () => {
-        it('should set limit', async () => {
+        it('should not share requests between cursor and limited queries', async () => {
+            const order = [{ attribute: 'id', direction: 'asc' }];
             const scope = nock(solrUrl)
-                .post(solrIndexPath, /rows=15/)
-                .reply(200, testResponse);
+                .post(solrIndexPath, (body) => !('cursorMark' in body))
+                .delay(10)
+                .reply(200, { response: { numFound: 3, docs: [{ id: 1 }, { id: 2 }] } })
+                .post(solrIndexPath, (body) => body.cursorMark === '*')
+                .delay(10)
+                .reply(200, { response: { numFound: 2, docs: [{ id: 1 }, { id: 2 }] }, nextCursorMark: '*' });
+
+            const [limited, cursor] = await Promise.all([
+                dataSource.process({ collection: 'article', limit: 2, order }),
+                dataSource.process({ collection: 'article', cursorPaging: true, cursorBatchSize: 2, order })
+            ]);
 
-            await dataSource.process({ collection: 'article', limit: 15 });
+            assert.ok(scope.isDone());
+            assert.equal(limited.totalCount, 3);
+            assert.equal(cursor.totalCount, 2);
+        });
+
+        it('should share requests regardless of parameter order', async () => {
+            const scope = nock(solrUrl).post(solrIndexPath).once().delay(10).reply(200, solrResponse);
+
+            await Promise.all([
+                dataSource.process({ collection: 'article', search: 'foo', edismax: { qf: 'title', mm: '1' } }),
+                dataSource.process({ collection: 'article', search: 'foo', edismax: { mm: '1', qf: 'title' } })
+            ]);
 
             assert.ok(scope.isDone());
         });
 
-        it('should overwrite SOLR default limit for sub-resource processing', async () => {
-            const scope = nock(solrUrl)
-                .post(solrIndexPath, (body) => body.rows && body.rows === '1000000')
-                .reply(200, testResponse);
+        it('should not share subsequent requests', async () => {
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).reply(200, solrResponse);
 
-            // no explicit limit set
+            await dataSource.process({ collection: 'article' });
             await dataSource.process({ collection: 'article' });
 
             assert.ok(scope.isDone());
         });
 
-        it('should set page', async () => {
+        it('should share errors', async () => {
+            nock(solrUrl).post(solrIndexPath).once().delay(10).reply(500, '{}');
+
+            const results = await Promise.allSettled([
+                dataSource.process({ collection: 'article' }),
+                dataSource.process({ collection: 'article' })
+            ]);
+
+            assert.deepEqual(
+                results.map(({ status }) => status),
+                ['rejected', 'rejected']
+            );
+        });
+
+        it('should be disabled per server', async () => {
+            const ds = new FloraSolr(api, {
+                servers: { default: { urls: ['http://example.com/solr/'], coalesce: false } }
+            });
+            const scope = nock(solrUrl).post(solrIndexPath).times(2).delay(10).reply(200, solrResponse);
+
+            await Promise.all([ds.process({ collection: 'article' }), ds.process({ collection: 'article' })]);
+
+            assert.ok(scope.isDone());
+        });
+    });
+
+    describe('explain', () => {
+        it('should add request details', async () => {
+            const _explain = {};
+            nock(solrUrl)
+                .post(solrIndexPath)
+                .reply(200, { responseHeader: { status: 0, QTime: 7 }, response: { numFound: 0, docs: [] } });
+
+            await dataSource.process({ collection: 'article', limit: 10, _explain });
+
+            assert.equal(_explain.url, 'http://example.com/solr/article/select');
+            assert.equal(_explain.replica, 'http://example.com/solr/');
+            assert.equal(_explain.params.rows, 10);
+            assert.equal(_explain.retries, 0);
+            assert.equal(_explain.qTime, 7);
+            assert.equal(typeof _explain.duration, 'number');
+            assert.ok(!('debug' in _explain));
+        });
+
+        it('should add number of retries', async () => {
+            const _explain = {};
+            const ds = new FloraSolr(api, {
+                servers: {
+                    default: { urls: ['http://solr1.example.com/solr/', 'http://solr2.example.com/solr/'], retries: 1 }
+                }
+            });
+            nock('http://solr1.example.com').post(solrIndexPath).reply(503, '{}');
+            nock('http://solr2.example.com').post(solrIndexPath).reply(200, testResponse);
+
+            await ds.process({ collection: 'article', _explain });
+
+            assert.equal(_explain.replica, 'http://solr2.example.com/solr/');
+            assert.equal(_explain.retries, 1);
+        });
+
+        it('should add cache hit status', async () => {
+            const explain1 = {};
+            const explain2 = {};
+            nock(solrUrl).post(solrIndexPath).reply(200, testResponse);
+
+            await dataSource.process({ collection: 'article', cacheTtl: 1000, _explain: explain1 });
+            await dataSource.process({ collection: 'article', cacheTtl: 1000, _explain: explain2 });
+
+            assert.equal(explain1.cacheHit, false);
+            assert.equal(explain2.cacheHit, true);
+        });
+
+        it('should add replica information for cache hits and shared requests', async () => {
+            const explains = [{}, {}, {}];
+            nock(solrUrl).post(solrIndexPath).delay(10).reply(200, testResponse);
+
+            await Promise.all([
+                dataSource.process({ collection: 'article', cacheTtl: 1000, _explain: explains[0] }),
+                dataSource.process({ collection: 'article', _explain: explains[1] })
+            ]);
+            await dataSource.process({ collection: 'article', cacheTtl: 1000, _explain: explains[2] });
+
+            explains.forEach((explain) => {
+                assert.equal(explain.url, 'http://example.com/solr/article/select');
+                assert.equal(explain.replica, 'http://example.com/solr/');
+                assert.equal(explain.retries, 0);
+            });
+        });
+
+        it('should add debug information if requested', async () => {
+            const _explain = {};
+            const debug = {
+                rawquerystring: 'foo',
+                parsedquery: 'text:foo',
+                explain: { 1: '1.2 = weight(text:foo)' },
+                timing: { time: 3 }
+            };
             const scope = nock(solrUrl)
-                // only return sorted pagination params because they can appear in any order
-                .filteringRequestBody((body) => {
-                    const params = require('querystring').parse(body);
-                    const paginationParams = [];
+                .post(solrIndexPath, (body) => body.debugQuery === 'true')
+                .reply(200, { response: { numFound: 0, docs: [] }, debug });
 
-                    ['rows', 'start'].forEach((key) => {
-                        // extract pagination params
-                        if (params[key]) {
-                            paginationParams.push(key + '=' + params[key]);
-                        }
-                    });
+            await dataSource.process({ collection: 'article', search: 'foo', explainDebug: true, _explain });
 
-                    return paginationParams.sort().join('&');
-                })
-                .post(solrIndexPath, /rows=10&start=20/)
+            assert.ok(scope.isDone());
+            assert.deepEqual(_explain.debug, {
+                parsedquery: 'text:foo',
+                explain: { 1: '1.2 = weight(text:foo)' },
+                timing: { time: 3 }
+            });
+        });
+
+        it('should not request debug information without explain', async () => {
+            const scope = nock(solrUrl)
+                .post(solrIndexPath, (body) => !('debugQuery' in body))
                 .reply(200, testResponse);
 
-            await dataSource.process({ collection: 'article', limit: 10, page: 3 });
+            await dataSource.process({ collection: 'article', explainDebug: true });
 
             assert.ok(scope.isDone());
         });
@@ -621,8 +3244,8 @@ describe('Flora SOLR DataSource', () => {
                 ctx.mock.timers.tick(timeoutMs);
 
                 await assert.rejects(promise, {
-                    name: 'TimeoutError',
-                    message: 'The operation was aborted due to timeout'
+                    name: 'ConnectionError',
+                    message: 'Solr timeout: The operation was aborted due to timeout'
                 });
                 ctx.mock.timers.reset();
             })
@@ -683,5 +3306,172 @@ describe('Flora SOLR DataSource', () => {
 
             assert.ok(scope.isDone());
         });
+
+        describe('grouped results', () => {
+            it('should request grouped result format', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.equal(body.group, 'true');
+                        assert.equal(body['group.format'], 'grouped');
+                        assert.equal(body['group.field'], 'seriesId');
+                        assert.equal(body['group.limit'], '3');
+                        assert.equal(body['group.ngroups'], 'true');
+                        assert.ok(!('group.main' in body));
+                        return true;
+                    })
+                    .reply(200, { grouped: { seriesId: { matches: 0, ngroups: 0, groups: [] } } });
+
+                await dataSource.process({ collection: 'article', limitPer: 'seriesId', limit: 3, groupResults: true });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should apply paging to groups', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body.rows === '10' && body.start === '20')
+                    .reply(200, { grouped: { seriesId: { matches: 0, ngroups: 0, groups: [] } } });
+
+                await dataSource.process({
+                    collection: 'article',
+                    limitPer: 'seriesId',
+                    limit: 3,
+                    groupsLimit: 10,
+                    page: 3,
+                    groupResults: true
+                });
+
+                assert.ok(scope.isDone());
+            });
+
+            it('should return groups', async () => {
+                nock(solrUrl)
+                    .post(solrIndexPath)
+                    .reply(200, {
+                        grouped: {
+                            seriesId: {
+                                matches: 5,
+                                ngroups: 2,
+                                groups: [
+                                    { groupValue: 1, doclist: { numFound: 3, start: 0, docs: [{ id: 1 }, { id: 2 }] } },
+                                    { groupValue: 2, doclist: { numFound: 2, start: 0, docs: [{ id: 4 }, { id: 5 }] } }
+                                ]
+                            }
+                        }
+                    });
+
+                const response = await dataSource.process({
+                    collection: 'article',
+                    limitPer: 'seriesId',
+                    limit: 2,
+                    groupResults: true
+                });
+
+                assert.deepEqual(response, {
+                    totalCount: 2,
+                    ngroups: 2,
+                    data: [
+                        { groupValue: 1, totalCount: 3, data: [{ id: 1 }, { id: 2 }] },
+                        { groupValue: 2, totalCount: 2, data: [{ id: 4 }, { id: 5 }] }
+                    ]
+                });
+            });
+
+            it('should collapse and expand results', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => {
+                        assert.equal(body.fq, '{!collapse field=seriesId}');
+                        assert.equal(body.expand, 'true');
+                        assert.equal(body['expand.rows'], '1');
+                        assert.equal(body.fl, 'id,seriesId');
+                        assert.ok(!('group' in body));
+                        return true;
+                    })
+                    .reply(200, {
+                        response: {
+                            numFound: 2,
+                            docs: [
+                                { id: 1, seriesId: 1 },
+                                { id: 4, seriesId: 2 }
+                            ]
+                        },
+                        expanded: { 1: { numFound: 2, docs: [{ id: 2, seriesId: 1 }] } }
+                    });
+
+                const response = await dataSource.process({
+                    collection: 'article',
+                    attributes: ['id'],
+                    limitPer: 'seriesId',
+                    limit: 2,
+                    groupResults: true,
+                    groupMethod: 'collapse'
+                });
+
+                assert.ok(scope.isDone());
+                assert.deepEqual(response, {
+                    totalCount: 2,
+                    ngroups: 2,
+                    data: [
+                        { groupValue: 1, totalCount: 3, data: [{ id: 1 }, { id: 2 }] },
+                        { groupValue: 2, totalCount: 1, data: [{ id: 4 }] }
+                    ]
+                });
+            });
+
+            it('should keep field list when collapsing results', async () => {
+                const dsConfig = { collection: 'article', fields: 'title=title_t' };
+                dataSource.prepare(dsConfig);
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body.fl === 'id,title:title_t,seriesId')
+                    .reply(200, {
+                        response: { numFound: 1, docs: [{ id: 1, title: 'foo', seriesId: 1 }] },
+                        expanded: {}
+                    });
+
+                const response = await dataSource.process({
+                    ...dsConfig,
+                    attributes: ['id', 'title'],
+                    limitPer: 'seriesId',
+                    limit: 2,
+                    groupResults: true,
+                    groupMethod: 'collapse'
+                });
+
+                assert.ok(scope.isDone());
+                assert.deepEqual(response.data, [{ groupValue: 1, totalCount: 1, data: [{ id: 1, title: 'foo' }] }]);
+            });
+
+            it('should only count expanded documents if limit is 1', async () => {
+                const scope = nock(solrUrl)
+                    .post(solrIndexPath, (body) => body.expand === 'true' && body['expand.rows'] === '0')
+                    .reply(200, {
+                        response: { numFound: 1, docs: [{ id: 1, seriesId: 1 }] },
+                        expanded: { 1: { numFound: 4, docs: [] } }
+                    });
+
+                const response = await dataSource.process({
+                    collection: 'article',
+                    limitPer: 'seriesId',
+                    limit: 1,
+                    groupResults: true,
+                    groupMethod: 'collapse'
+                });
+
+                assert.ok(scope.isDone());
+                assert.deepEqual(response.data, [{ groupValue: 1, totalCount: 5, data: [{ id: 1, seriesId: 1 }] }]);
+            });
+
+            it('should throw an error for unsupported group methods', async () => {
+                await assert.rejects(
+                    () =>
+                        dataSource.process({
+                            collection: 'article',
+                            limitPer: 'seriesId',
+                            groupResults: true,
+                            groupMethod: 'foo'
+                        }),
+                    { name: 'ImplementationError', message: 'Unsupported group method "foo"' }
+                );
+            });
+        });
     });
 });